@@ -9,9 +9,14 @@ export const GAME_SETTINGS = {
   minSpeed: 0.08,
   maxSpeed: 0.32,
   gravity: 0.02, // Increased gravity for faster falling
+  terminalVelocity: 0.5,
   jumpForce: 0.3,
   maxJumpForce: 0.4,
-  platformsPerLevel: 20,
+  sideAcceleration: 0.01, // Steering force per frame (in the air and on normal surfaces)
+  maxSideVelocity: 0.3,
+  sideFriction: 0.98, // Side velocity kept per frame (in the air and on normal surfaces)
+  speedRampAmount: 0.17, // Extra speed gained over the ramp distance
+  speedRampDistance: 6500,
   platformSpawnZ: -1000,
   cameraOffset: { x: 0, y: 5, z: 10 },
   jetpackBoostForce: 0.015,
@@ -25,14 +30,13 @@ export const GAME_SETTINGS = {
     landingBase: 12,
     precisionLanding: 35,
     movingLanding: 22,
+    conveyorLanding: 20,
+    slingshotPerUnit: 4, // Per unit a moving platform's momentum carried the ball
     trampolineChain: 18,
     rescueTarget: 250,
     comboMultiplierStep: 0.15,
     clawPenalty: 80,
   },
-  powerUpSpawnChance: 0.012,
-  powerUpBurstChance: 0.0007,
-  clawPowerUpChance: 0.0015,
   // Grab ability settings
   grabForce: 0.8, // Horizontal force applied during grab
   grabDuration: 0.2, // Duration of grab effect in seconds
@@ -40,6 +44,160 @@ export const GAME_SETTINGS = {
   grabDoubleTapWindow: 300, // Time window for double-tap detection in milliseconds
 };
 
+// Crumbling platforms: they shake and flicker once landed on, then break into
+// falling pieces (see js/systems/crumbling.js)
+export const CRUMBLING = {
+  warningTime: 0.65, // Seconds of warning at level 1
+  warningTimePerLevel: 0.02, // Taken off the warning each level
+  minWarningTime: 0.35,
+  shakeAmount: 0.06, // Sideways shake at the end of the warning (units)
+  shakeSpeed: 45, // Radians per second
+  crackColor: 0x7a4a12, // Warning flicker color
+  debrisGrid: 3, // Pieces per side
+  debrisSpread: 0.06, // Outward speed of the pieces (units per frame)
+  debrisGravity: 0.02, // Per frame, like the ball
+  debrisLifetime: 1.2, // Seconds before the pieces are gone
+  respawnDelay: null, // Generated courses keep collapsed platforms collapsed
+  practiceRespawnDelay: 3, // Seconds, for courses play-tested from the editor
+};
+
+// Hazard platforms run a cycle on game time: idle, a telegraph that shows
+// and sounds what is coming, then the active effect (see js/systems/hazards.js)
+export const HAZARDS = {
+  variants: {
+    // Electrified surface: touching it while live stuns steering
+    electric: {
+      firstLevel: 1,
+      weight: 1,
+      cycle: 2.4, // Seconds per cycle
+      telegraph: 0.8, // Seconds of warning before it goes live
+      active: 0.6, // Seconds live
+      color: 0x9bf6ff,
+      stunTime: 0.9, // Seconds without steering
+      penalty: 40, // Points lost
+    },
+    // Spike strip: spikes peek up, then stand up; standing on them costs a life
+    spikes: {
+      firstLevel: 3,
+      weight: 1,
+      cycle: 2.2,
+      telegraph: 0.6,
+      active: 0.7,
+      color: 0xd9d9d9,
+      spikeSpacing: 1.6, // Units between spikes
+      spikeHeight: 0.9,
+    },
+    // Vent: rumbles, then blasts the ball up off the platform
+    vent: {
+      firstLevel: 5,
+      weight: 1,
+      cycle: 2.8,
+      telegraph: 0.9,
+      active: 0.35,
+      color: 0xf8f9fa,
+      blast: 0.55, // Speed along the support normal (units per frame)
+      plumeHeight: 8,
+    },
+  },
+  cycleScalePerLevel: 0.03, // Cycles get this much shorter each level
+  minCycleScale: 0.6,
+};
+
+// Checkpoints: flagged platforms along the course that a falling ball is put
+// back on while the run has lives left
+export const CHECKPOINTS = {
+  spacing: 150, // Course distance between checkpoints
+  lives: 3, // Falls a run can take (the last one ends it)
+  flagColor: 0xffd166, // Flag of a checkpoint not reached yet
+  reachedColor: 0x06d6a0, // Flag of the checkpoint the ball would respawn on
+  respawnHeight: 2, // Dropped this far above the checkpoint's surface
+  respawnSpeed: 1, // Top forward speed after a respawn, as a share of the starting speed
+};
+
+// Adaptive difficulty: a rating from -1 (struggling) to 1 (cruising), moved by
+// how the player is doing and easing back to 0, scales the knobs below
+// between their easiest and hardest settings (see js/systems/director.js)
+export const DIRECTOR = {
+  enabled: true,
+  // How much each event moves the rating
+  landing: 0.015, // Each landing on a new platform
+  comboStep: 0.003, // Extra per combo count on that landing
+  comboCap: 10, // Combo counts past this add nothing more
+  death: -0.35, // Each life lost
+  missedLanding: -0.08, // Each drop of missDepth below the nearest platform
+  sosUse: -0.12, // Each SOS grab
+  nearOutOfBounds: -0.15, // Per second spent deep below the nearest platform
+  nearOutOfBoundsShare: 0.5, // Share of fallOutOfBoundsDistance that counts as deep
+  missDepth: 4, // Units below the nearest platform's middle
+  relaxRate: 0.02, // The rating eases back to 0 by this much per second
+  // Multipliers on the level-based values at a rating of -1 and 1 (1 at 0)
+  speed: { easiest: 0.85, hardest: 1.1 },
+  platformSize: { easiest: 1.25, hardest: 0.85 },
+  gap: { easiest: 0.85, hardest: 1.12 },
+  hazardFrequency: { easiest: 0.5, hardest: 1.6 },
+};
+
+// Synthesized sound cues (see js/systems/audio.js)
+export const AUDIO = {
+  enabled: true,
+  volume: 0.25, // Master volume
+  hearingDistance: 70, // Cues further from the ball than this are not played
+};
+
+// Momentum a moving platform hands to the ball when it jumps or rolls off
+export const MOMENTUM_TRANSFER = {
+  scale: 1, // Share of the platform's velocity handed over
+  minSpeed: 0.02, // Platforms slower than this hand over nothing (units per frame)
+  airDrag: 0.985, // Sideways and forward drift kept per frame in the air
+  slingshotSpeed: 0.15, // Launches at least this fast can earn the slingshot bonus
+  slingshotDistance: 6, // Drift needed for the bonus (units)
+};
+
+// Fixed-step simulation (see js/systems/timestep.js)
+export const SIMULATION = {
+  step: 1 / 60, // Seconds simulated per step; per-step constants above are tuned for this
+  maxStepsPerFrame: 5, // Catch-up limit after a slow frame, beyond which time is dropped
+};
+
+// Hand-authored levels (JSON files, see js/systems/level-files.js)
+export const LEVEL_FILES = {
+  // Level number -> file, played instead of that level's generated platforms
+  levels: {
+    3: "levels/switchbacks.json",
+  },
+  // Set-pieces spliced into endless runs between generated platforms
+  setPieces: [
+    "levels/set-pieces/staircase.json",
+    "levels/set-pieces/trampoline-chain.json",
+    "levels/set-pieces/lift-loop.json",
+  ],
+  setPieceChance: 0.04, // Chance per generated platform
+  setPieceSpacing: 30, // Minimum generated platforms between two set-pieces
+};
+
+// How the ball rests on platforms
+export const PLATFORM_COLLISION = {
+  edgeOverhang: 0.8, // How far the ball's centre may hang past an edge and stay supported
+  surfaceTolerance: 0.5, // How far from the surface (along its normal) the ball still counts as touching
+  modes: ["solid", "oneWay"], // "oneWay" platforms can be passed through from below and the sides
+  defaultMode: "solid",
+};
+
+// Reachability checks for generated platforms
+export const REACHABILITY = {
+  rerollAttempts: 4, // Fresh positions to try before pulling the platform closer
+  pullSteps: 8, // How finely to pull an unreachable platform toward the previous one
+  edgeMargin: PLATFORM_COLLISION.edgeOverhang, // How far the ball's centre may hang past an edge and still land
+  speedMargin: 0.04, // Checked above and below the expected speed
+  maxAirFrames: 600,
+};
+
+// Spatial index used for platform collision queries
+export const PLATFORM_INDEX = {
+  bucketSize: 16, // Length of course (z) covered by each bucket
+  margin: 1, // Extra reach around each platform (the ball's radius)
+};
+
 // Platform types
 export const PLATFORM_TYPES = [
   "far-far-left",
@@ -53,6 +211,66 @@ export const PLATFORM_TYPES = [
   "far-far-right",
 ];
 
+// Lane transition tables: LANE_TRANSITIONS[table][fromLane][toLane] = probability
+// Every row must sum to 1 and every lane must be able to lead back to "center"
+export const LANE_TRANSITIONS = {
+  // The classic layout
+  default: {
+    "far-far-left": { "far-left": 1 },
+    "far-left": { "far-far-left": 0.3, left: 0.4, "center-left": 0.3 },
+    left: { "far-left": 0.3, "center-left": 0.4, center: 0.3 },
+    "center-left": { left: 0.3, center: 0.4, "center-right": 0.3 },
+    center: {
+      "far-left": 0.15,
+      left: 0.15,
+      "center-left": 0.15,
+      "center-right": 0.15,
+      right: 0.15,
+      "far-right": 0.15,
+      "far-far-left": 0.05,
+      "far-far-right": 0.05,
+    },
+    "center-right": { center: 0.3, right: 0.4, "far-right": 0.3 },
+    right: { "center-right": 0.3, "far-right": 0.4, "far-far-right": 0.3 },
+    "far-right": { right: 0.7, "far-far-right": 0.3 },
+    "far-far-right": { "far-right": 1 },
+  },
+  // Narrow corridor: stays near the middle, outer lanes drift back in
+  corridor: {
+    "far-far-left": { "far-left": 1 },
+    "far-left": { left: 1 },
+    left: { "center-left": 0.7, center: 0.3 },
+    "center-left": { "center-left": 0.3, center: 0.5, "center-right": 0.2 },
+    center: { "center-left": 0.3, center: 0.4, "center-right": 0.3 },
+    "center-right": { "center-left": 0.2, center: 0.5, "center-right": 0.3 },
+    right: { center: 0.3, "center-right": 0.7 },
+    "far-right": { right: 1 },
+    "far-far-right": { "far-right": 1 },
+  },
+  // Wild zig-zag: keeps swinging from one side to the other
+  zigzag: {
+    "far-far-left": { "far-left": 0.5, left: 0.5 },
+    "far-left": { "center-right": 0.5, right: 0.5 },
+    left: { "center-right": 0.4, right: 0.4, center: 0.2 },
+    "center-left": { right: 0.6, "far-right": 0.4 },
+    center: { left: 0.5, right: 0.5 },
+    "center-right": { left: 0.6, "far-left": 0.4 },
+    right: { "center-left": 0.4, left: 0.4, center: 0.2 },
+    "far-right": { "center-left": 0.5, left: 0.5 },
+    "far-far-right": { "far-right": 0.5, right: 0.5 },
+  },
+};
+
+// Which lane table to use; specific levels win over biomes
+export const LANE_TABLE_OVERRIDES = {
+  levels: {},
+  // Biomes follow the background, keyed by BACKGROUND_COLORS index
+  biomes: {
+    2: "corridor", // Medium Sea Green
+    5: "zigzag", // Light Sea Green
+  },
+};
+
 // Background colors (More vibrant, modern palette)
 export const BACKGROUND_COLORS = [
   0x1e90ff, // Dodger Blue
@@ -65,6 +283,46 @@ export const BACKGROUND_COLORS = [
   0x00ced1, // Dark Turquoise
 ];
 
+// What each level is like (see js/systems/level-rules.js). Every level starts
+// from LEVEL_RULES.base; each rule that matches the level then replaces the
+// settings it names, in order (objects are merged one level deep, so a rule
+// can change a single power-up chance). A rule matches levels from..to
+// (either end optional), and with every/at only every "every" levels counting
+// from "at" (every: 10, at: 5 is levels 5, 15, 25...).
+export const LEVEL_RULES = {
+  base: {
+    // Generated platforms per level: base plus step more every "every" levels
+    platformCount: { base: 20, step: 5, every: 2 },
+    // Chances for a generated platform to be long or a trampoline
+    platformMix: { long: 0.2, forwardTrampoline: 0.167, backwardTrampoline: 0.041 },
+    movingChance: 0.1, // Chance for a plain platform to move
+    movementTypes: null, // Movement types to pick from (null for all of PLATFORM_MOVEMENT.types)
+    // Chances for a plain platform to be each challenge; a challenge in
+    // challengeRamp gains that much more per level, up to maxRamp more
+    challenges: { precision: 0.08, crumbling: 0.07, hazard: 0.06, conveyor: 0.05 },
+    challengeRamp: { precision: 0.015 },
+    maxRamp: 0.18,
+    // Range the forward speed ramps within
+    speed: { min: GAME_SETTINGS.initialSpeed, max: GAME_SETTINGS.maxSpeed },
+    // Chances per frame, and what a spawned power-up is (weights)
+    powerUps: {
+      spawnChance: 0.012,
+      burstChance: 0.0007, // A burst of 2-3 at once
+      sosChance: 0.0015, // An extra SOS on top
+      mix: { extraJump: 0.3, jetpack: 0.3, SOS: 0.4 },
+    },
+    background: null, // BACKGROUND_COLORS index (null to cycle through them by level)
+  },
+  rules: [
+    // Levels ending in 2: over half the plain platforms move
+    { every: 10, at: 2, movingChance: 0.55 },
+    // Levels ending in 4: every plain platform slides side to side or up and down
+    { every: 10, at: 4, movingChance: 1, movementTypes: ["horizontal", "vertical"] },
+    // Levels ending in 5: every plain platform moves
+    { every: 10, at: 5, movingChance: 1 },
+  ],
+};
+
 // Platform colors
 export const PLATFORM_COLORS = {
   regular: 0xffffff, // White for regular platforms
@@ -75,6 +333,80 @@ export const PLATFORM_COLORS = {
   crumbling: 0xffd166,
   precision: 0x06d6a0,
   hazard: 0xef476f,
+  conveyor: 0x118ab2,
+  teleporter: 0x00f5d4,
+  teleporterExit: 0x9bf6ff,
+};
+
+// Paired teleporters: landing on the entrance moves the ball to its exit,
+// further along the course or across in a side lane
+export const TELEPORTERS = {
+  firstLevel: 2,
+  chance: 0.04, // Chance per generated platform once spacing allows
+  minPlatformsBetween: 20, // Generated platforms between two pairs
+  minForwardJump: 40, // Gap between entrance and an exit in the same lane
+  maxForwardJump: 70,
+  sideLaneChance: 0.4, // Chance the exit is in a side lane instead
+  sideLaneOffset: 24, // Side distance to a side-lane exit
+  minSideJump: 6, // Gap along the course to a side-lane exit
+  maxSideJump: 14,
+  linkHeight: 10, // How far the link arc rises above the platforms
+  cameraWarpTime: 0.35, // Camera warp after a teleport (seconds), also a grace period for falling
+  cameraWarpFov: 25, // Extra field of view at the start of the warp (degrees)
+};
+
+// Surface materials of platform tops: how the ball steers and jumps on them.
+// weight is the generator's chance of rolling the material for a regular platform,
+// look is how the platform is drawn (normal platforms keep their usual colors)
+export const SURFACE_MATERIALS = {
+  normal: {
+    friction: GAME_SETTINGS.sideFriction,
+    acceleration: GAME_SETTINGS.sideAcceleration,
+    jumpMultiplier: 1,
+    weight: 0,
+  },
+  ice: {
+    friction: 0.995, // Barely slows down
+    acceleration: 0.004, // Slow to steer
+    jumpMultiplier: 1,
+    weight: 0.06,
+    look: { color: 0xbde0fe, roughness: 0.05, metalness: 0.6 },
+  },
+  mud: {
+    friction: 0.9, // Drags the ball to a stop
+    acceleration: 0.01,
+    jumpMultiplier: 0.75,
+    weight: 0.05,
+    look: { color: 0x7f5539, roughness: 1, metalness: 0 },
+  },
+  rubber: {
+    friction: GAME_SETTINGS.sideFriction,
+    acceleration: GAME_SETTINGS.sideAcceleration,
+    jumpMultiplier: 1.3,
+    weight: 0.05,
+    look: { color: 0xff006e, roughness: 0.9, metalness: 0 },
+  },
+};
+
+// Conveyor platforms carry the ball along their belt while it is on them
+export const CONVEYORS = {
+  minSpeed: 0.04, // Belt speed range (units per frame at 60 fps, like ball velocity)
+  maxSpeed: 0.08,
+  sideChance: 0.5, // Chance a generated belt runs across the course instead of along it
+  stripeSpacing: 2, // World distance between the chevrons painted on the belt
+};
+
+// Gates that turn gravity to the next direction when the ball passes through
+export const GRAVITY_GATES = {
+  firstLevel: 2, // Level 1 always stays the right way up
+  chance: 0.05, // Chance per generated platform once spacing allows
+  minPlatformsBetween: 30, // Generated platforms between two gates
+  gap: 1, // Distance from the last platform's front edge to the gate (just past where the ball drops off)
+  landingDrop: 3, // Clear fall onto the landing platform in the new direction
+  landingWidth: 14,
+  landingDepth: 18,
+  size: 28, // Width and height of the gate frame
+  color: 0x9b5de5,
 };
 
 // Movement settings for moving platforms
@@ -98,10 +430,43 @@ export const PLATFORM_MOVEMENT = {
     "orbital",
     "figure8",
     "pendulum",
+    "path",
   ],
 
+  // Waypoint paths: the platform glides through a spline of waypoints
+  // (offsets from where it was placed, along its side axis, support normal
+  // and the course), easing each segment and pausing at waypoints
+  path: {
+    speed: 4, // Units per second along the path
+    minSegmentTime: 0.4, // Seconds, so close waypoints are not a jolt
+    modes: ["pingPong", "loop"],
+    easings: ["linear", "easeIn", "easeOut", "easeInOut"],
+    // Generated paths
+    minWaypoints: 3,
+    maxWaypoints: 5,
+    sideRange: 9,
+    normalRange: 4,
+    zRange: 4,
+    maxPause: 0.8, // Seconds
+    pauseChance: 0.4,
+    loopChance: 0.5,
+    // Used when a level file picks "path" without giving one
+    defaultPath: {
+      mode: "pingPong",
+      waypoints: [
+        { side: -6, normal: 0, z: 0, pause: 0.5, ease: "easeInOut" },
+        { side: 0, normal: 3, z: 0, pause: 0, ease: "linear" },
+        { side: 6, normal: 0, z: 0, pause: 0.5, ease: "easeInOut" },
+      ],
+    },
+  },
+
   // Visual indicators
   indicatorSize: 0.2,
+  indicatorOpacity: 0.3,
+  indicatorFadeStart: 40, // Distance from the ball where path dots start fading
+  indicatorFadeEnd: 120, // Distance where they are gone
+  pathIndicatorSpacing: 1.5, // Units between dots along a waypoint path
 };
 
 // Material properties
@@ -156,13 +521,54 @@ export const ELEMENT_IDS = {
   mode: "mode",
   rescue: "rescue",
   rescueContainer: "rescue-container",
+  lives: "lives",
   modeClassic: "mode-classic",
   modeRescue: "mode-rescue",
   controlButtons: "control-buttons",
   controlJoystick: "control-joystick",
   gameOver: "game-over",
   finalScore: "final-score",
+  finalSeed: "final-seed",
   restartButton: "restart-button",
+  retrySeedButton: "retry-seed-button",
+  seedInput: "seed-input",
+  seedRandomButton: "seed-random",
   startButton: "start-button",
   startModal: "start-modal",
+  editorButton: "editor-button",
+  editorPanel: "editor-panel",
+  editorReturn: "editor-return",
+  editorSelectionLabel: "editor-selection-label",
+  editorWidth: "editor-width",
+  editorDepth: "editor-depth",
+  editorHeight: "editor-height",
+  editorType: "editor-type",
+  editorMovement: "editor-movement",
+  editorCollision: "editor-collision",
+  editorSurface: "editor-surface",
+  editorPowerUpType: "editor-powerup-type",
+  editorDelete: "editor-delete",
+  editorPlay: "editor-play",
+  editorExport: "editor-export",
+  editorLoad: "editor-load",
+  editorOpenFile: "editor-open-file",
+  editorFileInput: "editor-file-input",
+  editorClear: "editor-clear",
+  editorExit: "editor-exit",
+  editorJson: "editor-json",
+  editorStatus: "editor-status",
+};
+
+// Level editor settings
+export const EDITOR_SETTINGS = {
+  cameraHeight: 45, // Camera height above the editing plane
+  cameraDistance: 28, // Camera distance behind the focus point
+  scrollStep: 8, // Course distance scrolled per W/S press
+  snap: 0.5, // Positions and sizes snap to this grid
+  defaultWidth: 8,
+  defaultDepth: 8,
+  minSize: 1,
+  maxSize: 60,
+  powerUpHeight: 2, // Power-ups float this far above the editing plane
+  rescueTargetHeight: 2.8, // Same offset generated rescue targets use
 };
@@ -19,9 +19,11 @@ import {
   setAirEntryMethod, // Import the new setter
   setJumpingState, // Added import
   setDoubleJumpedState, // Added import
+  syncPreviousBallPosition,
 } from "../entities/ball.js";
 import { getClaw } from "../entities/claw.js";
 import { getPlatforms } from "../entities/platform.js";
+import { scheduleAfter, scheduleEvery } from "../systems/scheduler.js";
 
 // Grab state
 let grabCount = 0;
@@ -175,10 +177,9 @@ function createGrabEffect(scene, position) {
  * @param {number} delay - Delay before starting animation
  */
 function animateParticle(particle, scene, delay) {
-  setTimeout(() => {
-    const fadeInterval = setInterval(() => {
+  scheduleAfter(delay / 1000, () => {
+    scheduleEvery(0.05, () => {
       if (particle.material.opacity <= 0.1) {
-        clearInterval(fadeInterval);
         scene.remove(particle);
 
         // Remove from array
@@ -186,11 +187,12 @@ function animateParticle(particle, scene, delay) {
         if (index > -1) {
           grabParticles.splice(index, 1);
         }
-      } else {
-        particle.material.opacity -= 0.05;
+        return false;
       }
-    }, 50);
-  }, delay);
+      particle.material.opacity -= 0.05;
+      return true;
+    });
+  });
 }
 
 /**
@@ -280,6 +282,7 @@ export function endGrab() {
 
     // Apply the final position
     ball.position.set(newPosition.x, newPosition.y, newPosition.z);
+    syncPreviousBallPosition();
 
     // Reset velocity to zero to simulate being dropped
     setBallVelocity({ x: 0, y: 0, z: 0 });
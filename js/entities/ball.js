@@ -4,9 +4,12 @@
  */
 
 import THREE from "../utils/three-wrapper.js";
-import { GAME_SETTINGS } from "../config.js";
+import {
+  GAME_SETTINGS,
+  SURFACE_MATERIALS,
+  MOMENTUM_TRANSFER,
+} from "../config.js";
 import { clamp } from "../utils/helpers.js";
-import { getCurrentPlatform } from "./platform.js";
 import {
   addScaledAxis,
   getGravityConfig,
@@ -18,6 +21,8 @@ let ball = null;
 
 // Ball state
 let ballVelocity = { x: 0, y: 0, z: 0 };
+// Where the ball was before this frame's movement (for swept collision)
+const previousPosition = new THREE.Vector3(0, 10, 0);
 let isJumping = false;
 let hasDoubleJumped = false;
 let jumpChargeTime = 0;
@@ -27,12 +32,38 @@ let airEntryMethod = "";
 let wasOnPlatform = false;
 // Coyote time tracking
 let timeSinceLeftPlatform = 0;
+// Surface material the ball last stood on (first jumps take off from it)
+let launchSurface = "normal";
+// Velocity of the moving platform under the ball (units per frame)
+const carrierVelocity = new THREE.Vector3();
+// Sideways and forward drift handed over by a moving platform, kept in the air
+const launchDrift = new THREE.Vector3();
+// Drift distance of a fast launch so far, or null when not in one
+let slingshotDistance = null;
+// Seconds left without steering, after an electric shock
+let stunTime = 0;
 const COYOTE_TIME = 0.15; // 150ms of leniency
 // Extra jumps counter
 let extraJumps = 0;
 let gravityDirection = "down";
 
+/**
+ * Set the gravity direction the ball falls in
+ * Its velocity turns with gravity, so it keeps moving the same way on screen
+ * as the camera rolls
+ * @param {string} direction - The new gravity direction
+ */
 export function setBallGravityDirection(direction) {
+  if (direction !== gravityDirection) {
+    const fromConfig = getGravityConfig(gravityDirection);
+    const toConfig = getGravityConfig(direction);
+    const sideVelocity = getPositionAlong(ballVelocity, fromConfig.side);
+    const gravityVelocity = getPositionAlong(ballVelocity, fromConfig.gravity);
+    ballVelocity.x =
+      toConfig.side.x * sideVelocity + toConfig.gravity.x * gravityVelocity;
+    ballVelocity.y =
+      toConfig.side.y * sideVelocity + toConfig.gravity.y * gravityVelocity;
+  }
   gravityDirection = direction;
 }
 
@@ -88,11 +119,11 @@ export function createBall() {
 /**
  * Update ball position based on keyboard input
  * @param {Object} keys - The keyboard state
- * @param {number} deltaTime - Time since last frame
+ * @param {number} deltaTime - Simulated time this step
  * @param {number} speed - Current game speed
  * @param {boolean} isJetpackActive - Whether the jetpack is active
  * @param {number} jetpackFuel - Current jetpack fuel
- * @param {Function} isOnPlatform - Function to check if ball is on platform
+ * @param {Function} getPlatformContact - Returns the ball's platform contact (see queryPlatformContact)
  * @returns {Object} Updated ball state
  */
 export function updateBallPosition(
@@ -101,15 +132,21 @@ export function updateBallPosition(
   speed,
   isJetpackActive,
   jetpackFuel,
-  isOnPlatform,
+  getPlatformContact,
   activeGravityDirection = gravityDirection
 ) {
   gravityDirection = activeGravityDirection;
   const gravityConfig = getGravityConfig(gravityDirection);
-  const acceleration = 0.01;
-  const maxVelocity = 0.3;
-  const friction = 0.98;
-  const onPlatformNow = isOnPlatform();
+  const contact = getPlatformContact();
+  const onPlatformNow = contact.onPlatform;
+
+  // Steering depends on the surface underfoot; in the air it handles like normal ground
+  const surface =
+    SURFACE_MATERIALS[onPlatformNow ? contact.surface : "normal"] ||
+    SURFACE_MATERIALS.normal;
+  const acceleration = surface.acceleration;
+  const maxVelocity = GAME_SETTINGS.maxSideVelocity;
+  const friction = surface.friction;
 
   // Check if the ball has rolled/fallen off a platform
   if (wasOnPlatform && !onPlatformNow && !isJumping) {
@@ -127,9 +164,15 @@ export function updateBallPosition(
     hasDoubleJumped = false;
   }
 
+  // Jumping or rolling off a moving platform keeps its momentum
+  if (wasOnPlatform && !onPlatformNow) {
+    handOverPlatformMomentum(gravityConfig);
+  }
+
   // Track coyote time
   if (onPlatformNow) {
     timeSinceLeftPlatform = 0;
+    launchSurface = contact.surface || "normal";
   } else if (!isJumping) {
     timeSinceLeftPlatform += deltaTime;
   }
@@ -137,10 +180,12 @@ export function updateBallPosition(
   // Update wasOnPlatform for the next frame
   wasOnPlatform = onPlatformNow;
 
-  // If the ball is on a platform, check if it's a moving platform
+  // If the ball is on a platform, check if it's a moving platform or conveyor
   if (onPlatformNow) {
-    // Get the current platform
-    const currentPlatform = getCurrentPlatform(ball.position, ballVelocity);
+    // The platform found by the contact query above
+    const currentPlatform = contact.platform;
+    carrierVelocity.set(0, 0, 0);
+    launchDrift.set(0, 0, 0);
 
     // If it's a moving platform, apply its movement to the ball
     if (
@@ -160,14 +205,29 @@ export function updateBallPosition(
       ball.position.x += deltaX;
       ball.position.y += deltaY;
       ball.position.z += deltaZ;
+
+      // Remembered in case the ball leaves next step
+      carrierVelocity.set(deltaX, deltaY, deltaZ).divideScalar(deltaTime * 60);
+    }
+
+    // Conveyors carry the ball along their belt the same way
+    if (currentPlatform && currentPlatform.userData.conveyorVelocity) {
+      const push = currentPlatform.userData.conveyorVelocity;
+      ball.position.x += push.x * deltaTime * 60;
+      ball.position.y += push.y * deltaTime * 60;
+      ball.position.z += push.z * deltaTime * 60;
     }
   }
 
   // Apply acceleration based on key presses
   const sideVelocity = getPositionAlong(ballVelocity, gravityConfig.side);
   let nextSideVelocity = sideVelocity;
-  if (keys.left) nextSideVelocity -= acceleration;
-  if (keys.right) nextSideVelocity += acceleration;
+  if (stunTime > 0) {
+    stunTime = Math.max(0, stunTime - deltaTime);
+  } else {
+    if (keys.left) nextSideVelocity -= acceleration;
+    if (keys.right) nextSideVelocity += acceleration;
+  }
 
   // Apply friction to horizontal movement
   nextSideVelocity *= friction;
@@ -196,7 +256,7 @@ export function updateBallPosition(
   }
 
   // Terminal velocity for more realistic falling
-  const terminalVelocity = 0.5;
+  const terminalVelocity = GAME_SETTINGS.terminalVelocity;
   const gravityVelocity = getPositionAlong(ballVelocity, gravityConfig.gravity);
   if (gravityVelocity > terminalVelocity) {
     const clampedSideVelocity = getPositionAlong(ballVelocity, gravityConfig.side);
@@ -209,12 +269,22 @@ export function updateBallPosition(
   }
 
   // Update ball position
+  previousPosition.copy(ball.position);
   ball.position.x += ballVelocity.x * deltaTime * 60;
   ball.position.y += ballVelocity.y * deltaTime * 60;
 
   // Add automatic forward movement (the ball is always rolling forward)
   ball.position.z -= speed * deltaTime * 60;
 
+  // Drift from a moving platform the ball left, fading in the air
+  if (!onPlatformNow && launchDrift.lengthSq() > 0) {
+    ball.position.addScaledVector(launchDrift, deltaTime * 60);
+    if (slingshotDistance !== null) {
+      slingshotDistance += launchDrift.length() * deltaTime * 60;
+    }
+    launchDrift.multiplyScalar(Math.pow(MOMENTUM_TRANSFER.airDrag, deltaTime * 60));
+  }
+
   // Calculate rotation based on actual movement distance
   // For a ball with radius 1, one full rotation (2*PI radians) should happen when it travels 2*PI units
   const rotationFactor = 1 / (2 * Math.PI); // For a ball of radius 1
@@ -231,6 +301,39 @@ export function updateBallPosition(
   };
 }
 
+/**
+ * Hand the velocity of the moving platform the ball just left to the ball
+ * Movement along the support normal joins the jump (or fall); the rest
+ * becomes drift that fades in the air
+ * @param {Object} gravityConfig - The active gravity frame
+ */
+function handOverPlatformMomentum(gravityConfig) {
+  const launchVelocity = carrierVelocity.multiplyScalar(MOMENTUM_TRANSFER.scale);
+  const launchSpeed = launchVelocity.length();
+  if (launchSpeed >= MOMENTUM_TRANSFER.minSpeed) {
+    const normalSpeed = getPositionAlong(launchVelocity, gravityConfig.normal);
+    addScaledAxis(ballVelocity, gravityConfig.normal, normalSpeed);
+
+    launchDrift.copy(launchVelocity);
+    addScaledAxis(launchDrift, gravityConfig.normal, -normalSpeed);
+
+    slingshotDistance = launchSpeed >= MOMENTUM_TRANSFER.slingshotSpeed ? 0 : null;
+  }
+  carrierVelocity.set(0, 0, 0);
+}
+
+/**
+ * Take how far a moving platform's momentum carried the ball since its last
+ * fast launch, ending that launch
+ * Call on landing
+ * @returns {number} Drift distance (0 when the ball was not slingshot)
+ */
+export function takeSlingshotDistance() {
+  const distance = slingshotDistance || 0;
+  slingshotDistance = null;
+  return distance;
+}
+
 /**
  * Apply platform collision effects to the ball
  * @param {Object} platformInfo - Information about the platform collision
@@ -250,11 +353,14 @@ export function applyPlatformEffects(platformInfo, speed) {
     hasDoubleJumped = false; // Reset double jump flag
     airEntryMethod = ""; // Reset air entry method
 
+    // Trampolines launch the ball along their (tilted) surface normal
+    const bounceNormal = platformInfo.surfaceNormal || gravityConfig.normal;
+
     // Apply bounce effect based on the platform type
     switch (platformInfo.bounceEffect) {
       case "forward":
         // Speed-up (Green) Platform: Bounce up, slightly forward impulse, and slightly increase base speed
-        addScaledAxis(ballVelocity, gravityConfig.normal, GAME_SETTINGS.maxJumpForce * 1.5);
+        addScaledAxis(ballVelocity, bounceNormal, GAME_SETTINGS.maxJumpForce * 1.5);
         ballVelocity.z -= 0.1; // Keep small forward impulse
         speed += 0.025; // Increase the base forward speed by 25% of the previous increment (0.1 * 0.25)
         isJumping = false; // Bounce doesn't count as the first jump
@@ -267,7 +373,7 @@ export function applyPlatformEffects(platformInfo, speed) {
 
       case "backward":
         // Slow-down (Orange) Platform: Bounce up, backward impulse, and decrease base speed
-        addScaledAxis(ballVelocity, gravityConfig.normal, GAME_SETTINGS.maxJumpForce * 1.5);
+        addScaledAxis(ballVelocity, bounceNormal, GAME_SETTINGS.maxJumpForce * 1.5);
         ballVelocity.z += 0.2; // Keep backward impulse
         speed -= 0.05; // Decrease the base forward speed (adjust value as needed)
         // Ensure speed doesn't become too low or negative
@@ -332,7 +438,11 @@ export function jump(isDoubleJump = false, isExtraJump = false) {
     // This is a true first jump (either on platform or coyote time)
     isJumping = true;
     hasDoubleJumped = false; // We still have our double jump available
-    addScaledAxis(ballVelocity, gravityConfig.normal, GAME_SETTINGS.jumpForce);
+    addScaledAxis(
+      ballVelocity,
+      gravityConfig.normal,
+      GAME_SETTINGS.jumpForce * getLaunchSurface().jumpMultiplier
+    );
     jumpChargeTime = 0;
 
     // If we're on a platform or within coyote time
@@ -343,10 +453,23 @@ export function jump(isDoubleJump = false, isExtraJump = false) {
 
 /**
  * Apply additional jump force based on charge time
+ * Scaled by the surface the jump took off from, like the jump itself
  * @param {number} additionalForce - Additional force to apply
  */
 export function applyJumpForce(additionalForce) {
-  addScaledAxis(ballVelocity, getGravityConfig(gravityDirection).normal, additionalForce);
+  addScaledAxis(
+    ballVelocity,
+    getGravityConfig(gravityDirection).normal,
+    additionalForce * getLaunchSurface().jumpMultiplier
+  );
+}
+
+/**
+ * Get the surface material the ball last stood on
+ * @returns {Object} Entry of SURFACE_MATERIALS
+ */
+function getLaunchSurface() {
+  return SURFACE_MATERIALS[launchSurface] || SURFACE_MATERIALS.normal;
 }
 
 /**
@@ -357,6 +480,23 @@ export function getBall() {
   return ball;
 }
 
+/**
+ * Get where the ball was before its last movement step
+ * @returns {THREE.Vector3} The previous position
+ */
+export function getPreviousBallPosition() {
+  return previousPosition;
+}
+
+/**
+ * Forget the last movement step after the ball was placed directly
+ * (held by the claw, dropped by a grab, moved to a new level), so the
+ * swept collision check does not treat the jump as movement
+ */
+export function syncPreviousBallPosition() {
+  if (ball) previousPosition.copy(ball.position);
+}
+
 /**
  * Get the ball velocity
  * @returns {Object} The ball velocity
@@ -429,6 +569,14 @@ export function setAirEntryMethod(method) {
   airEntryMethod = method;
 }
 
+/**
+ * Take steering away from the player for a while
+ * @param {number} duration - Seconds without steering (a longer stun already running is kept)
+ */
+export function stunBall(duration) {
+  stunTime = Math.max(stunTime, duration);
+}
+
 /**
  * Get the number of extra jumps
  * @returns {number} The number of extra jumps
@@ -445,6 +593,27 @@ export function addExtraJumps(amount) {
   extraJumps += amount;
 }
 
+/**
+ * Put the ball back on the course at rest, keeping its extra jumps
+ * @param {THREE.Vector3} position - Where to put it
+ */
+export function respawnBall(position) {
+  ballVelocity = { x: 0, y: 0, z: 0 };
+  isJumping = false;
+  hasDoubleJumped = false;
+  jumpChargeTime = 0;
+  airEntryMethod = "fell";
+  wasOnPlatform = false;
+  timeSinceLeftPlatform = 0;
+  carrierVelocity.set(0, 0, 0);
+  launchDrift.set(0, 0, 0);
+  slingshotDistance = null;
+  stunTime = 0;
+
+  ball.position.copy(position);
+  previousPosition.copy(position);
+}
+
 /**
  * Reset the ball state
  */
@@ -456,10 +625,16 @@ export function resetBallState() {
   airEntryMethod = "";
   wasOnPlatform = false;
   timeSinceLeftPlatform = 0;
+  launchSurface = "normal";
+  carrierVelocity.set(0, 0, 0);
+  launchDrift.set(0, 0, 0);
+  slingshotDistance = null;
+  stunTime = 0;
   extraJumps = 0;
 
   if (ball) {
     ball.position.set(0, 10, 0);
     ball.rotation.set(0, 0, 0);
   }
+  previousPosition.set(0, 10, 0);
 }
@@ -1,83 +1,112 @@
 /**
  * Flag Entity
- * Handles creation and animation of the red flag on platforms
+ * Handles creation and animation of the flags that stand on platforms
  */
 
 import THREE from "../utils/three-wrapper.js";
 import { MATERIALS } from "../config.js";
+import { getGameTime } from "../systems/scheduler.js";
+import { getSharedGeometry, getSharedMaterial } from "../utils/resources.js";
 
-// Reference to the flag model
-let flagModel = null;
+// Flags standing on platforms (dropped once their platform is gone)
+let flags = [];
 
 /**
- * Create a red flag for the final platform
+ * Get the shared cloth material for a flag color
+ * @param {number} color - Flag color
+ * @returns {THREE.MeshBasicMaterial} The shared material
+ */
+function getClothMaterial(color) {
+  // Basic material keeps the cloth bright whatever the lighting
+  return getSharedMaterial(
+    `flag-cloth:${color}`,
+    () => new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+  );
+}
+
+/**
+ * Plant a flag on a platform
+ * The flag undoes the platform's scale, so it is the same size on any platform
  * @param {THREE.Mesh} platform - The platform to add the flag to
+ * @param {Object} options - Flag options
+ * @param {number} options.color - Cloth color (red by default)
+ * @param {number} options.side - Offset from the platform's middle along its width (units)
  * @returns {THREE.Group} The flag model
  */
-export function createFlag(platform) {
+export function createFlag(platform, { color = 0xff0000, side = 0 } = {}) {
   // Create a flag pole (thicker and taller for better visibility)
-  const poleGeometry = new THREE.CylinderGeometry(0.2, 0.2, 4, 8);
-  const poleMaterial = new THREE.MeshStandardMaterial({
-    color: MATERIALS.flagPole.color,
-    roughness: MATERIALS.flagPole.roughness,
-  });
-  const pole = new THREE.Mesh(poleGeometry, poleMaterial);
-  pole.position.set(0, 2, 0); // Position on the platform, taller
+  const pole = new THREE.Mesh(
+    getSharedGeometry("flag-pole", () => new THREE.CylinderGeometry(0.2, 0.2, 4, 8)),
+    getSharedMaterial(
+      "flag-pole",
+      () =>
+        new THREE.MeshStandardMaterial({
+          color: MATERIALS.flagPole.color,
+          roughness: MATERIALS.flagPole.roughness,
+        })
+    )
+  );
+  pole.position.set(0, 2, 0); // Stands on the platform's surface
 
   // Create a simpler, larger flag with bright color
-  const flagGeometry = new THREE.PlaneGeometry(2.5, 1.5); // Larger flag
-  const flagMaterial = new THREE.MeshBasicMaterial({
-    // Using MeshBasicMaterial for brighter color
-    color: 0xff0000, // Bright red color for flag
-    side: THREE.DoubleSide,
-    emissive: 0xff0000, // Make it glow
-    emissiveIntensity: 0.5,
-  });
-  const flag = new THREE.Mesh(flagGeometry, flagMaterial);
+  const flag = new THREE.Mesh(
+    getSharedGeometry("flag-cloth", () => new THREE.PlaneGeometry(2.5, 1.5)),
+    getClothMaterial(color)
+  );
   flag.position.set(1.25, 3.5, 0); // Position at the top of the pole
   flag.rotation.y = Math.PI / 2; // Rotate to face sideways
 
   // Create a group for the flag
-  flagModel = new THREE.Group();
+  const flagModel = new THREE.Group();
   flagModel.add(pole);
   flagModel.add(flag);
+  flagModel.scale.set(
+    1 / platform.scale.x,
+    1 / platform.scale.y,
+    1 / platform.scale.z
+  );
+  flagModel.position.set(side / platform.scale.x, 0.5, 0);
 
   // Add the flag to the platform
   platform.add(flagModel);
-
-  // Animate the flag waving
-  flagModel.userData = {
-    waveSpeed: 0.01,
-    waveAmplitude: 0.1,
-  };
+  flags.push(flagModel);
 
   return flagModel;
 }
 
+/**
+ * Change the color of a flag's cloth
+ * @param {THREE.Group} flagModel - A flag from createFlag
+ * @param {number} color - New cloth color
+ */
+export function setFlagColor(flagModel, color) {
+  flagModel.children[1].material = getClothMaterial(color);
+}
+
 /**
  * Update the flag animation
+ * Flags wave on game time, so they hold still while the game is paused
  */
 export function updateFlag() {
-  if (flagModel) {
+  flags = flags.filter((flagModel) => flagModel.parent && flagModel.parent.parent);
+  const wave = Math.sin(getGameTime() * 3) * 0.2;
+  flags.forEach((flagModel) => {
     // Get the flag part (second child)
-    const flag = flagModel.children[1];
-
-    // Make the flag wave
-    flag.rotation.z = Math.sin(performance.now() * 0.003) * 0.2;
-  }
+    flagModel.children[1].rotation.z = wave;
+  });
 }
 
 /**
- * Get the current flag model
- * @returns {THREE.Group} The flag model
+ * Get the flags standing on platforms
+ * @returns {Array<THREE.Group>} The flag models
  */
-export function getFlagModel() {
-  return flagModel;
+export function getFlags() {
+  return flags;
 }
 
 /**
- * Reset the flag model reference
+ * Forget every flag, for a new run
  */
 export function resetFlag() {
-  flagModel = null;
+  flags = [];
 }
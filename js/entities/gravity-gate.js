@@ -0,0 +1,189 @@
+/**
+ * Gravity Gate Entity
+ * Glowing frames across the course that turn gravity when the ball passes through
+ *
+ * A gate spans the whole course at its z, so passing its z is passing through
+ * it. The arrow inside points the way gravity will pull afterwards.
+ */
+
+import THREE from "../utils/three-wrapper.js";
+import { GRAVITY_GATES } from "../config.js";
+import { getGravityConfig } from "../systems/gravity.js";
+import {
+  getSharedGeometry,
+  getSharedMaterial,
+  disposeObject,
+} from "../utils/resources.js";
+
+let gates = [];
+
+/**
+ * Create a gravity gate
+ * @param {THREE.Vector3} position - Where the ball crosses into the new direction
+ * @param {string} fromDirection - Gravity direction before the gate
+ * @param {string} toDirection - Gravity direction after the gate
+ * @param {THREE.Scene} scene - The scene to add the gate to
+ * @returns {THREE.Group} The gate
+ */
+export function createGravityGate(position, fromDirection, toDirection, scene) {
+  const gate = new THREE.Group();
+  const size = GRAVITY_GATES.size;
+  const barThickness = 0.6;
+
+  const barGeometry = getSharedGeometry(
+    "gate-bar",
+    () => new THREE.BoxGeometry(1, 1, 1)
+  );
+  const barMaterial = getSharedMaterial(
+    "gate-bar",
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: GRAVITY_GATES.color,
+        emissive: GRAVITY_GATES.color,
+        emissiveIntensity: 0.8,
+      })
+  );
+
+  // Square frame, spun slowly around the course to hint at the roll
+  const frame = new THREE.Group();
+  [
+    [0, size / 2, size, barThickness],
+    [0, -size / 2, size, barThickness],
+    [size / 2, 0, barThickness, size],
+    [-size / 2, 0, barThickness, size],
+  ].forEach(([x, y, width, height]) => {
+    const bar = new THREE.Mesh(barGeometry, barMaterial);
+    bar.position.set(x, y, 0);
+    bar.scale.set(width, height, barThickness);
+    frame.add(bar);
+  });
+  gate.add(frame);
+
+  const membrane = new THREE.Mesh(
+    getSharedGeometry("gate-membrane", () => new THREE.PlaneGeometry(1, 1)),
+    getSharedMaterial(
+      "gate-membrane",
+      () =>
+        new THREE.MeshBasicMaterial({
+          color: GRAVITY_GATES.color,
+          transparent: true,
+          opacity: 0.15,
+          side: THREE.DoubleSide,
+          depthWrite: false,
+        })
+    )
+  );
+  membrane.scale.set(size, size, 1);
+  gate.add(membrane);
+
+  // Arrow pointing along the new gravity
+  const arrow = new THREE.Mesh(
+    getSharedGeometry("gate-arrow", () => new THREE.ConeGeometry(1.5, 4, 12)),
+    barMaterial
+  );
+  arrow.quaternion.setFromUnitVectors(
+    new THREE.Vector3(0, 1, 0),
+    getGravityConfig(toDirection).gravity
+  );
+  gate.add(arrow);
+
+  gate.position.copy(position);
+  gate.userData = {
+    fromDirection,
+    toDirection,
+    passed: false,
+    frame,
+    arrow,
+    pulse: 0,
+  };
+
+  scene.add(gate);
+  gates.push(gate);
+  return gate;
+}
+
+/**
+ * Animate the gates
+ * @param {number} deltaTime - Simulated time this step
+ */
+export function updateGravityGates(deltaTime) {
+  for (const gate of gates) {
+    gate.userData.pulse += deltaTime;
+    gate.userData.frame.rotation.z += deltaTime * 0.4;
+
+    // Bob the arrow along the new gravity
+    const gravity = getGravityConfig(gate.userData.toDirection).gravity;
+    const bob = Math.sin(gate.userData.pulse * 3) * 1.5;
+    gate.userData.arrow.position.set(gravity.x * bob, gravity.y * bob, 0);
+  }
+}
+
+/**
+ * Find the gate the ball passed through during its last move, if any
+ * Each gate only turns gravity once
+ * @param {number} fromZ - Ball z before the move
+ * @param {number} toZ - Ball z after the move
+ * @returns {THREE.Group|null} The gate passed through
+ */
+export function checkGravityGateCrossing(fromZ, toZ) {
+  for (const gate of gates) {
+    if (gate.userData.passed) continue;
+    if (fromZ > gate.position.z && toZ <= gate.position.z) {
+      gate.userData.passed = true;
+      gate.visible = false;
+      return gate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Let the gates ahead of a respawned ball turn gravity again
+ * (gates behind the checkpoint stay gone: their turn is already part of the
+ * gravity the checkpoint restores)
+ * @param {number} checkpointZ - Z position of the checkpoint the ball respawned at
+ */
+export function rearmGravityGates(checkpointZ) {
+  gates.forEach((gate) => {
+    if (gate.position.z >= checkpointZ) return;
+    gate.userData.passed = false;
+    gate.visible = true;
+  });
+}
+
+/**
+ * Remove gates that are too far behind
+ * @param {THREE.Vector3} ballPosition - The ball position
+ * @param {number} removeDistance - Distance threshold for removal
+ * @param {THREE.Scene} scene - The scene
+ */
+export function cleanupGravityGates(ballPosition, removeDistance, scene) {
+  gates = gates.filter((gate) => {
+    if (gate.position.z > ballPosition.z + removeDistance) {
+      scene.remove(gate);
+      disposeObject(gate);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Get all gravity gates
+ * @returns {Array<THREE.Group>} The gates
+ */
+export function getGravityGates() {
+  return gates;
+}
+
+/**
+ * Remove every gate
+ * @param {THREE.Scene} scene - The scene
+ */
+export function resetGravityGates(scene) {
+  gates.forEach((gate) => {
+    scene.remove(gate);
+    disposeObject(gate);
+  });
+  gates = [];
+}
@@ -9,14 +9,61 @@ import {
   PLATFORM_TYPES,
   PLATFORM_COLORS,
   PLATFORM_MOVEMENT,
+  PLATFORM_COLLISION,
+  REACHABILITY,
+  GRAVITY_GATES,
+  CONVEYORS,
+  SURFACE_MATERIALS,
+  TELEPORTERS,
 } from "../config.js";
-import { random, randomInt } from "../utils/helpers.js";
-import { createFlag } from "./flag.js";
+import { randomFloat } from "../utils/rng.js";
+import { pickNextLane } from "../systems/lanes.js";
+import {
+  preparePath,
+  getPathOffset,
+  samplePath,
+  rollPath,
+} from "../systems/paths.js";
+import { getCrumbleTiming } from "../systems/crumbling.js";
+import {
+  getHazardTiming,
+  pickHazardVariant,
+  addHazardTelegraph,
+} from "../systems/hazards.js";
+import { isCheckpointDue, markCheckpoint } from "../systems/checkpoints.js";
+import { getDifficultyScale } from "../systems/director.js";
+import {
+  getLevelRules,
+  getLevelPlatformCount,
+  getChallengeChances,
+} from "../systems/level-rules.js";
 import {
   getGravityConfig,
   getPositionAlong,
   setPositionAlong,
+  addScaledAxis,
 } from "../systems/gravity.js";
+import {
+  describePlacement,
+  getSpeedSamples,
+  isReachableAtSpeeds,
+  recordReachability,
+  reportReachability,
+  resetReachabilityStats,
+} from "../systems/reachability.js";
+import {
+  addToPlatformIndex,
+  removeFromPlatformIndex,
+  updatePlatformInIndex,
+  getPlatformsNear,
+  getPlatformsBetween,
+  clearPlatformIndex,
+} from "../systems/platform-index.js";
+import {
+  getSharedGeometry,
+  getSharedMaterial,
+  disposeObject,
+} from "../utils/resources.js";
 
 // Platform collection and state
 let platforms = [];
@@ -25,22 +72,53 @@ let lastPlatformType = "center";
 let redFlagPlatform = null;
 let nextPlatformId = 1;
 let activeGravityDirection = "down";
+// Gravity direction new platforms are generated for (changes at each gravity
+// gate, ahead of the ball) and where its lanes are centred along the side axis
+let generationGravityDirection = "down";
+let laneCentre = 0;
+// Shape of the last generated platform, used for reachability checks
+let lastPlatformShape = null;
+// Current game speed, so new platforms are checked at realistic speeds
+let generationSpeed = GAME_SETTINGS.initialSpeed;
 
 export function setPlatformGravityDirection(direction) {
   activeGravityDirection = direction;
 }
 
+/**
+ * Get the gravity direction new platforms are generated for
+ * @returns {string} Gravity direction
+ */
+export function getGenerationGravityDirection() {
+  return generationGravityDirection;
+}
+
+/**
+ * Tell the generator how fast the game is running
+ * @param {number} speed - Current forward speed
+ */
+export function setGenerationSpeed(speed) {
+  generationSpeed = speed;
+}
+
 /**
  * Create a platform
  * @param {boolean} isRedFlag - Whether this is a red flag platform
  * @param {THREE.Scene} scene - The scene to add the platform to
  * @param {number} level - Current game level (for difficulty adjustment)
+ * @param {Object} options - { gravityDirection, sideOffset, safe, challengeType }
+ *   (safe platforms are big, plain and still; challengeType only applies to them)
+ *   Every CHECKPOINTS.spacing of course a plain platform is made a safe checkpoint
  * @returns {THREE.Mesh} The platform object
  */
 export function createPlatform(isRedFlag = false, scene, level = 1, options = {}) {
-  const gravityDirection = options.gravityDirection || "down";
-  const gravityConfig = getGravityConfig(gravityDirection);
-  const isSafePlatform = !!options.safe;
+  const gravityDirection = options.gravityDirection || generationGravityDirection;
+  const isCheckpoint =
+    !isRedFlag &&
+    !options.challengeType &&
+    platforms.length > 0 &&
+    isCheckpointDue(lastPlatformPosition.z);
+  const isSafePlatform = !!options.safe || isCheckpoint;
   // Determine the next platform position
   let nextX, nextY, nextZ;
 
@@ -51,13 +129,11 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
     nextZ = 0;
 
     // Create a much larger starting platform for more run-up time
-    const startPlatform = new THREE.Mesh(
-      new THREE.BoxGeometry(30, 1, 50),
-      new THREE.MeshStandardMaterial({
-        color: PLATFORM_COLORS.regular,
-        roughness: 0.7,
-        metalness: 0.1,
-      })
+    const startPlatform = createBoxMesh(
+      30,
+      1,
+      50,
+      getPlatformMaterial(PLATFORM_COLORS.regular)
     );
     startPlatform.position.set(0, 0, 0);
     startPlatform.receiveShadow = true;
@@ -77,126 +153,30 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
 
     scene.add(startPlatform);
     platforms.push(startPlatform);
+    addToPlatformIndex(startPlatform);
+    // Falls before the first checkpoint go back to the start
+    markCheckpoint(startPlatform, false);
 
     // Update the last platform position
     lastPlatformPosition = { x: nextX, y: nextY, z: nextZ };
     lastPlatformType = "center";
+    lastPlatformShape = describePlacement(
+      { side: nextX, normal: nextY, z: nextZ },
+      30,
+      50
+    );
 
     // Return the platform
     return startPlatform;
-  } else {
-    // More random platform generation with guaranteed connectivity
-    // We'll use a combination of the last platform type and random chance
-    // to determine the next platform position
-
-    // Determine platform type based on last platform to ensure connectivity
-    let platformType;
-    const rand = Math.random();
-
-    // Ensure there's always a possible route by limiting how far platforms can be from each other
-    if (lastPlatformType === "far-far-left") {
-      // From far-far-left, can go to far-left
-      platformType = "far-left";
-    } else if (lastPlatformType === "far-left") {
-      // From far left, can go to far-far-left, left, or center-left
-      if (rand < 0.3) platformType = "far-far-left";
-      else if (rand < 0.7) platformType = "left";
-      else platformType = "center-left";
-    } else if (lastPlatformType === "left") {
-      // From left, can go to far-left, center-left, or center
-      if (rand < 0.3) platformType = "far-left";
-      else if (rand < 0.7) platformType = "center-left";
-      else platformType = "center";
-    } else if (lastPlatformType === "center-left") {
-      // From center-left, can go to left, center, or center-right
-      if (rand < 0.3) platformType = "left";
-      else if (rand < 0.7) platformType = "center";
-      else platformType = "center-right";
-    } else if (lastPlatformType === "center") {
-      // From center, can go anywhere except the extremes
-      if (rand < 0.15) platformType = "far-left";
-      else if (rand < 0.3) platformType = "left";
-      else if (rand < 0.45) platformType = "center-left";
-      else if (rand < 0.6) platformType = "center-right";
-      else if (rand < 0.75) platformType = "right";
-      else if (rand < 0.9) platformType = "far-right";
-      else if (rand < 0.95) platformType = "far-far-left";
-      else platformType = "far-far-right";
-    } else if (lastPlatformType === "center-right") {
-      // From center-right, can go to center, right, or far-right
-      if (rand < 0.3) platformType = "center";
-      else if (rand < 0.7) platformType = "right";
-      else platformType = "far-right";
-    } else if (lastPlatformType === "right") {
-      // From right, can go to center-right, far-right, or far-far-right
-      if (rand < 0.3) platformType = "center-right";
-      else if (rand < 0.7) platformType = "far-right";
-      else platformType = "far-far-right";
-    } else if (lastPlatformType === "far-right") {
-      // From far right, can go to right, far-far-right
-      if (rand < 0.7) platformType = "right";
-      else platformType = "far-far-right";
-    } else if (lastPlatformType === "far-far-right") {
-      // From far-far-right, can go to far-right
-      platformType = "far-right";
-    }
-
-    // Set lateral position based on platform type
-    switch (platformType) {
-      case "far-far-left":
-        nextX = -35 - Math.random() * 5;
-        break;
-      case "far-left":
-        nextX = -25 - Math.random() * 5;
-        break;
-      case "left":
-        nextX = -15 - Math.random() * 5;
-        break;
-      case "center-left":
-        nextX = -7 - Math.random() * 3;
-        break;
-      case "center":
-        nextX = Math.random() * 10 - 5;
-        break;
-      case "center-right":
-        nextX = 7 + Math.random() * 3;
-        break;
-      case "right":
-        nextX = 15 + Math.random() * 5;
-        break;
-      case "far-right":
-        nextX = 25 + Math.random() * 5;
-        break;
-      case "far-far-right":
-        nextX = 35 + Math.random() * 5;
-        break;
-    }
-
-    // Add some minor variation to make each path less predictable
-    nextX += Math.random() * 2 - 1;
-    nextX += options.sideOffset || 0;
-
-    // Store the platform type for the next platform
-    lastPlatformType = platformType;
-
-    // Always go lower or stay at same level, never go higher
-    // This ensures the game can continue indefinitely downward
-    const heightVariation = Math.random();
-    if (heightVariation < 0.8) {
-      // 80% chance to go lower (increased from 70%)
-      nextY = lastPlatformPosition.y - (2 + Math.random() * 4); // Increased descent (2-6 units instead of 1-4)
-    } else {
-      // 20% chance to stay at same level (decreased from 30%)
-      nextY = lastPlatformPosition.y;
-    }
-
-    // Random distance variation - reduced by 25% to make the stretch shorter
-    nextZ = lastPlatformPosition.z - (6 + Math.random() * 5.25); // 25% reduction from (8 + Math.random() * 7)
   }
 
+  // Pick a lane and offsets; checked for reachability once the size is known
+  let placement = pickNextPlacement(level, options);
+  const rules = getLevelRules(level);
+
   // Create platform mesh with varying sizes
   // Occasionally create longer platforms for longer rolling
-  const isLongPlatform = Math.random() < 0.2; // 20% chance for a long platform
+  const isLongPlatform = randomFloat() < rules.platformMix.long;
 
   // Platform dimensions
   let platformWidth, platformDepth;
@@ -206,119 +186,239 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
     platformDepth = 18;
   } else if (isLongPlatform) {
     // Long platforms
-    platformWidth = 6 + Math.random() * 6; // Width between 6 and 12
-    platformDepth = 15 + Math.random() * 15; // Depth between 15 and 30
+    platformWidth = 6 + randomFloat() * 6; // Width between 6 and 12
+    platformDepth = 15 + randomFloat() * 15; // Depth between 15 and 30
   } else {
     // Regular platforms
-    platformWidth = 4 + Math.random() * 8; // Width between 4 and 12
-    platformDepth = 4 + Math.random() * 8; // Depth between 4 and 12
+    platformWidth = 4 + randomFloat() * 8; // Width between 4 and 12
+    platformDepth = 4 + randomFloat() * 8; // Depth between 4 and 12
+  }
+  if (!isSafePlatform && !isRedFlag) {
+    // Bigger when the player is struggling, smaller when cruising
+    const sizeScale = getDifficultyScale("platformSize");
+    platformWidth *= sizeScale;
+    platformDepth *= sizeScale;
   }
 
   // For red flag platform, make it a big round red platform and always a trampoline
-  let isTrampoline = false;
-  let isSlowDownTrampoline = false;
-  let platformColor;
+  // (colors follow from the bounce and challenge type, see getPlatformColor)
   let isRoundPlatform = false;
   let platformRadius = 0;
   let bounceEffect = null;
-  let challengeType = "regular";
+  let challengeType = (isSafePlatform && options.challengeType) || "regular";
 
-  if (gravityDirection !== "down") {
-    isTrampoline = false;
-    isSlowDownTrampoline = false;
+  if (isSafePlatform) {
     bounceEffect = null;
-    platformColor = PLATFORM_COLORS.regular;
   } else if (isRedFlag) {
     // Red flag platform is always a trampoline and round
-    isTrampoline = true;
-    isSlowDownTrampoline = false;
     bounceEffect = "forward";
     isRoundPlatform = true;
     platformRadius = 12; // Bigger round platform for better visibility
-    platformColor = PLATFORM_COLORS.redFlag;
   } else {
     // Choose platform type - regular, speed-up (trampoline), or slow-down
-    const platformTypeRoll = Math.random();
-    if (platformTypeRoll < 0.167) {
-      isTrampoline = true;
-      isSlowDownTrampoline = false;
+    const { forwardTrampoline, backwardTrampoline } = rules.platformMix;
+    const platformTypeRoll = randomFloat();
+    if (platformTypeRoll < forwardTrampoline) {
       bounceEffect = "forward";
-      platformColor = PLATFORM_COLORS.trampoline;
-    } else if (platformTypeRoll < 0.208) {
-      // Reduced from 0.25 to 0.208 (halving orange slow-down trampolines)
-      isTrampoline = false;
-      isSlowDownTrampoline = true;
+    } else if (platformTypeRoll < forwardTrampoline + backwardTrampoline) {
       bounceEffect = "backward";
-      platformColor = PLATFORM_COLORS.diagonal;
     } else {
-      isTrampoline = false;
-      isSlowDownTrampoline = false;
       bounceEffect = null;
-      platformColor = PLATFORM_COLORS.regular;
     }
   }
 
   if (!isSafePlatform && !isRedFlag && !bounceEffect) {
-    const challengeRoll = Math.random();
-    const levelPressure = Math.min(0.18, level * 0.015);
+    const chances = getChallengeChances(level);
+
+    const challengeRoll = randomFloat();
+    let threshold = 0;
+    for (const [challenge, chance] of Object.entries(chances)) {
+      threshold += chance;
+      if (challengeRoll < threshold) {
+        challengeType = challenge;
+        break;
+      }
+    }
 
-    if (challengeRoll < 0.08 + levelPressure) {
-      challengeType = "precision";
+    if (challengeType === "precision") {
       platformWidth = Math.max(2.4, platformWidth * 0.45);
       platformDepth = Math.max(3.2, platformDepth * 0.55);
-      platformColor = PLATFORM_COLORS.precision;
-    } else if (challengeRoll < 0.15 + levelPressure) {
-      challengeType = "crumbling";
-      platformColor = PLATFORM_COLORS.crumbling;
-    } else if (challengeRoll < 0.21 + levelPressure) {
-      challengeType = "hazard";
-      platformColor = PLATFORM_COLORS.hazard;
     }
   }
 
-  // Define colors and inner scale for trampoline look
-  const innerTrampolineColor = 0x333333; // Dark grey
-  const innerScaleFactor = 0.8; // 80% inner area
+  // Conveyors run across or along the course, either way, at a random speed
+  let conveyor = null;
+  if (challengeType === "conveyor") {
+    conveyor = {
+      axis: randomFloat() < CONVEYORS.sideChance ? "side" : "z",
+      speed:
+        (randomFloat() < 0.5 ? -1 : 1) *
+        (CONVEYORS.minSpeed +
+          randomFloat() * (CONVEYORS.maxSpeed - CONVEYORS.minSpeed)),
+    };
+  }
+
+  // Hazards pick a variant the level has unlocked
+  const hazard = challengeType === "hazard" ? pickHazardVariant(level) : null;
+
+  // Plain platforms may get an icy, muddy or rubber top
+  let surface = "normal";
+  if (!isSafePlatform && !isRedFlag && !bounceEffect && challengeType === "regular") {
+    surface = pickSurface();
+  }
 
-  // --- Determine if it's a Moving Platform FIRST ---
-  // This needs to be known before setting the final color for regular platforms.
-  let isMovingPlatform = false;
+  // --- Decide whether it's a Moving Platform ---
   let movementType = null;
-  let finalPlatformColor = platformColor; // Start with the color determined by bounce type
 
   // Only regular platforms can be moving platforms (not trampolines, slow-down, or red flag platforms)
   // Check !bounceEffect which covers null/undefined (regular platforms)
   if (!isSafePlatform && !isRedFlag && !bounceEffect) {
-    // Check level conditions or random chance for moving
-    if (
-      level % 10 === 5 || // Level ends in 5: all move
-      level % 10 === 4 || // Level ends in 4: all move (H/V)
-      (level % 10 === 2 && Math.random() < 0.5) || // Level ends in 2: 50% move
-      Math.random() < 0.1
-    ) {
-      // Other levels: 10% move
-      isMovingPlatform = true;
-      finalPlatformColor =
-        challengeType === "regular" ? PLATFORM_COLORS.moving : platformColor;
-
-      // Choose a random movement type
-      if (level % 10 === 4) {
-        // For levels ending in 4, only use horizontal and vertical movement
-        movementType = Math.random() < 0.5 ? "horizontal" : "vertical";
-      } else {
-        // For other levels, use any movement type
-        const movementTypeIndex = Math.floor(
-          Math.random() * PLATFORM_MOVEMENT.types.length
-        );
-        movementType = PLATFORM_MOVEMENT.types[movementTypeIndex];
-      }
+    // How many move, and how, is up to the level's rules
+    if (randomFloat() < rules.movingChance) {
+      const movementTypes = rules.movementTypes || PLATFORM_MOVEMENT.types;
+      movementType = movementTypes[Math.floor(randomFloat() * movementTypes.length)];
     }
   }
+  let path = movementType === "path" ? rollPath() : null;
+  let sway = getMovementSway(movementType, path);
+
+  // Make sure the ball can actually get here from the previous platform,
+  // wherever either of them has moved to
+  const collisionWidth = isRoundPlatform ? platformRadius * 2 : platformWidth;
+  const collisionDepth = isRoundPlatform ? platformRadius * 2 : platformDepth;
+  let reachable = ensureReachablePlacement(
+    placement,
+    collisionWidth,
+    collisionDepth,
+    sway,
+    level,
+    options
+  );
+  if (!reachable && movementType) {
+    // Moving, it can stray out of reach wherever it goes, so keep it still
+    movementType = null;
+    path = null;
+    sway = getMovementSway(null);
+    reachable = ensureReachablePlacement(
+      placement,
+      collisionWidth,
+      collisionDepth,
+      sway,
+      level,
+      options
+    );
+  }
+  if (!reachable) recordReachability("unresolved");
+  placement = reachable || placement;
+  nextX = placement.side;
+  nextY = placement.normal;
+  nextZ = placement.z;
+  lastPlatformType = placement.type;
+
+  const platform = buildPlatform(
+    {
+      side: nextX,
+      normal: nextY,
+      z: nextZ,
+      width: platformWidth,
+      depth: platformDepth,
+      radius: isRoundPlatform ? platformRadius : 0,
+      bounceEffect,
+      challengeType,
+      conveyor,
+      surface,
+      movementType,
+      path,
+      crumbleTiming: getCrumbleTiming(level),
+      hazard,
+      hazardTiming: getHazardTiming(level),
+      gravityDirection,
+      isRedFlag,
+      laneType: lastPlatformType,
+    },
+    scene
+  );
+  if (isCheckpoint) markCheckpoint(platform);
+
+  // Update the last platform position
+  lastPlatformPosition = { x: nextX, y: nextY, z: nextZ };
+  lastPlatformShape = describePlacement(
+    placement,
+    collisionWidth,
+    collisionDepth,
+    bounceEffect,
+    surface,
+    sway
+  );
+
+  return platform;
+}
+
+/**
+ * Build a platform mesh from a description and add it to the scene
+ * Shared by the procedural generator and hand-authored levels
+ * @param {Object} spec - Platform description
+ * @param {number} spec.side - Position along the gravity frame's side axis
+ * @param {number} spec.normal - Position along the support normal
+ * @param {number} spec.z - Position along the course
+ * @param {number} spec.width - Width (ignored for round platforms)
+ * @param {number} spec.depth - Depth (ignored for round platforms)
+ * @param {number} spec.radius - Radius, makes the platform round when above 0
+ * @param {string|null} spec.bounceEffect - "forward", "backward" or null
+ * @param {string} spec.challengeType - "regular", "precision", "crumbling", "hazard", "conveyor",
+ *   "teleporter" or "teleporterExit"
+ * @param {Object|null} spec.conveyor - Conveyor belt { axis: "side" or "z", speed } (speed is signed along the axis)
+ * @param {string} spec.surface - Surface material, a key of SURFACE_MATERIALS
+ * @param {string|null} spec.movementType - One of PLATFORM_MOVEMENT.types, or null
+ * @param {Object|null} spec.path - Waypoint path for the "path" movement type (see paths.js)
+ * @param {Object|null} spec.crumbleTiming - { warningTime, respawnDelay } for crumbling platforms
+ * @param {string|null} spec.hazard - Hazard variant, a key of HAZARDS.variants ("electric" if not given)
+ * @param {Object|null} spec.hazardTiming - { cycleScale } for hazard platforms (see getHazardTiming)
+ * @param {string} spec.gravityDirection - Gravity direction the platform belongs to
+ * @param {boolean} spec.isRedFlag - Whether this is a red flag platform
+ * @param {string} spec.laneType - Lane the platform sits in (one of PLATFORM_TYPES)
+ * @param {string} spec.collisionMode - "solid" blocks from every side, "oneWay" only from above
+ * @param {THREE.Scene} scene - The scene to add the platform to
+ * @returns {THREE.Mesh} The platform object
+ */
+function buildPlatform(spec, scene) {
+  const {
+    side,
+    normal,
+    z,
+    width: platformWidth,
+    depth: platformDepth,
+    radius: platformRadius = 0,
+    bounceEffect = null,
+    challengeType = "regular",
+    conveyor = null,
+    surface = "normal",
+    movementType = null,
+    path = null,
+    crumbleTiming = null,
+    hazard = null,
+    hazardTiming = null,
+    gravityDirection = "down",
+    isRedFlag = false,
+    laneType = "center",
+    collisionMode = PLATFORM_COLLISION.defaultMode,
+  } = spec;
+  const gravityConfig = getGravityConfig(gravityDirection);
+  const isRoundPlatform = platformRadius > 0;
+  const isTrampoline = bounceEffect === "forward";
+  const isSlowDownTrampoline = bounceEffect === "backward";
+  const isMovingPlatform = !!movementType;
+  const conveyorSettings =
+    challengeType === "conveyor"
+      ? conveyor || { axis: "z", speed: -CONVEYORS.minSpeed }
+      : null;
+  const finalPlatformColor = getPlatformColor(spec);
+
+  // Inner scale for trampoline look
+  const innerScaleFactor = 0.8; // 80% inner area
 
-  // --- Create Geometry and Material(s) ---
-  let geometry,
-    material,
-    platform,
+  // --- Create Mesh(es) from shared geometry and materials ---
+  let platform,
     innerMesh = null;
   const tiltAngle = 2; // Degrees
 
@@ -331,72 +431,47 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
 
     if (isRoundPlatform) {
       // Round Trampoline (Red Flag uses this path too)
-      const outerRadius = platformRadius;
-      const innerRadius = outerRadius * innerScaleFactor;
-
       // Base (Outer Ring)
-      geometry = new THREE.CylinderGeometry(outerRadius, outerRadius, 1, 32);
-      material = new THREE.MeshStandardMaterial({
-        color: isRedFlag ? PLATFORM_COLORS.redFlag : outerColor, // Use red for red flag
-        roughness: 0.5,
-        metalness: 0.3,
-        ...(isRedFlag && {
-          emissive: PLATFORM_COLORS.redFlag,
-          emissiveIntensity: 0.5,
-        }), // Glow for red flag
-      });
-      platform = new THREE.Mesh(geometry, material);
-      // Apply base rotation + REVERSED tilt
-      const tiltRadians = THREE.MathUtils.degToRad(
+      platform = createCylinderMesh(
+        platformRadius,
+        1,
+        getPlatformMaterial(
+          isRedFlag ? PLATFORM_COLORS.redFlag : outerColor, // Use red for red flag
+          {
+            roughness: 0.5,
+            metalness: 0.3,
+            ...(isRedFlag && {
+              emissive: PLATFORM_COLORS.redFlag,
+              emissiveIntensity: 0.5,
+            }), // Glow for red flag
+          }
+        )
+      );
+      // Round platforms lie flat as discs, the face the ball lands on,
+      // so only the REVERSED tilt is applied
+      platform.rotation.x = THREE.MathUtils.degToRad(
         bounceEffect === "forward" ? -tiltAngle : tiltAngle
       ); // Reversed signs
-      platform.rotation.x = Math.PI / 2 + tiltRadians;
 
       // Inner Surface (Dark Grey)
-      const innerGeometry = new THREE.CylinderGeometry(
-        innerRadius,
-        innerRadius,
-        1.05,
-        32
-      ); // Slightly taller
-      const innerMaterial = new THREE.MeshStandardMaterial({
-        color: innerTrampolineColor,
-        roughness: 0.7,
-        metalness: 0.1,
-      });
-      innerMesh = new THREE.Mesh(innerGeometry, innerMaterial);
-      innerMesh.rotation.x = Math.PI / 2; // Inner mesh stays flat relative to parent tilt
-      innerMesh.position.y = 0.05; // Raise slightly
+      innerMesh = createInnerTrampolineSurface(innerScaleFactor, true);
       platform.add(innerMesh); // Add inner mesh as child
     } else {
       // Rectangular Trampoline
-      const outerWidth = platformWidth;
-      const outerDepth = platformDepth;
-      const innerWidth = outerWidth * innerScaleFactor;
-      const innerDepth = outerDepth * innerScaleFactor;
-
       // Base (Outer Frame)
-      geometry = new THREE.BoxGeometry(outerWidth, 1, outerDepth);
-      material = new THREE.MeshStandardMaterial({
-        color: outerColor,
-        roughness: 0.7,
-        metalness: 0.1,
-      });
-      platform = new THREE.Mesh(geometry, material);
+      platform = createBoxMesh(
+        platformWidth,
+        1,
+        platformDepth,
+        getPlatformMaterial(outerColor)
+      );
       // Apply REVERSED tilt
       platform.rotation.x = THREE.MathUtils.degToRad(
         bounceEffect === "forward" ? -tiltAngle : tiltAngle
       ); // Reversed signs
 
       // Inner Surface (Dark Grey)
-      const innerGeometry = new THREE.BoxGeometry(innerWidth, 1.05, innerDepth); // Slightly taller
-      const innerMaterial = new THREE.MeshStandardMaterial({
-        color: innerTrampolineColor,
-        roughness: 0.7,
-        metalness: 0.1,
-      });
-      innerMesh = new THREE.Mesh(innerGeometry, innerMaterial);
-      innerMesh.position.y = 0.05; // Raise slightly
+      innerMesh = createInnerTrampolineSurface(innerScaleFactor);
       platform.add(innerMesh); // Add inner mesh as child
     }
     // Shadows for inner mesh too if needed (might be minor)
@@ -408,40 +483,41 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
     // --- Regular or Moving Platform (Solid Color) ---
     if (isRoundPlatform) {
       // Should not happen for regular/moving, but handle defensively
-      geometry = new THREE.CylinderGeometry(
-        platformRadius,
+      platform = createCylinderMesh(
         platformRadius,
         1,
-        32
+        getPlatformMaterial(finalPlatformColor)
       );
-      material = new THREE.MeshStandardMaterial({
-        color: finalPlatformColor,
-        roughness: 0.7,
-        metalness: 0.1,
-      });
-      platform = new THREE.Mesh(geometry, material);
-      // Ensure no accidental tilt for regular platforms if they are round
-      platform.rotation.x = Math.PI / 2;
     } else {
-      const [sizeX, sizeY, sizeZ] = gravityConfig.platformSize(
+      platform = createBoxMesh(
         platformWidth,
         1,
-        platformDepth
+        platformDepth,
+        getPlatformMaterial(finalPlatformColor, getSurfaceLook(surface))
       );
-      geometry = new THREE.BoxGeometry(sizeX, sizeY, sizeZ);
-      material = new THREE.MeshStandardMaterial({
-        color: finalPlatformColor,
-        roughness: 0.7,
-        metalness: 0.1,
-      });
-      platform = new THREE.Mesh(geometry, material);
     }
   }
 
+  let beltTexture = null;
+  if (conveyorSettings) {
+    const belt = createConveyorBelt(
+      conveyorSettings,
+      isRoundPlatform ? platformRadius * 2 : platformWidth,
+      isRoundPlatform ? platformRadius * 2 : platformDepth,
+      isRoundPlatform
+    );
+    beltTexture = belt.material.map;
+    platform.add(belt);
+  }
+
+  // Meshes are built lying flat for normal gravity; turn them into the
+  // platform's frame, keeping any trampoline tilt relative to its surface
+  platform.quaternion.premultiply(gravityConfig.rotation);
+
   // Set position and shadows for the main platform group
-  platform.position.set(0, 0, nextZ);
-  setPositionAlong(platform.position, gravityConfig.side, nextX);
-  setPositionAlong(platform.position, gravityConfig.normal, nextY);
+  platform.position.set(0, 0, z);
+  setPositionAlong(platform.position, gravityConfig.side, side);
+  setPositionAlong(platform.position, gravityConfig.normal, normal);
   platform.receiveShadow = true;
   platform.castShadow = true; // Main platform should cast shadow
 
@@ -456,12 +532,24 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
     isTrampoline: isTrampoline,
     isSlowDownTrampoline: isSlowDownTrampoline,
     bounceEffect: bounceEffect,
-    type: lastPlatformType,
+    type: laneType,
     challengeType: challengeType,
     isCollapsed: false,
     crumbleStarted: false,
-    hazardContactStart: 0,
+    crumbleTiming: challengeType === "crumbling" ? crumbleTiming : null,
+    hazard: challengeType === "hazard" ? hazard || "electric" : null,
+    hazardTiming:
+      challengeType === "hazard" ? hazardTiming || getHazardTiming() : null,
+    // Where in its cycle a hazard starts, so neighbours do not fire together
+    hazardOffset: 0,
     isRedFlagPlatform: isRedFlag,
+    collisionMode: collisionMode,
+    surface: surface,
+    conveyor: conveyorSettings,
+    conveyorVelocity: conveyorSettings
+      ? getConveyorVelocity(conveyorSettings, gravityConfig)
+      : null,
+    beltTexture: beltTexture,
     isMovingPlatform: isMovingPlatform,
     movementType: movementType,
     gravityDirection: gravityDirection,
@@ -481,7 +569,7 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
         y: platform.position.y,
         z: platform.position.z,
       },
-      movementProgress: Math.random() * Math.PI * 2,
+      movementProgress: randomFloat() * Math.PI * 2,
       movementSpeed: PLATFORM_MOVEMENT.baseSpeed,
       lastPosition: { ...platform.position },
     }),
@@ -502,7 +590,7 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
           x: PLATFORM_MOVEMENT.diagonalRange,
           y: PLATFORM_MOVEMENT.diagonalRange,
         };
-        platform.userData.diagonalDirection = Math.random() < 0.5 ? 1 : -1;
+        platform.userData.diagonalDirection = randomFloat() < 0.5 ? 1 : -1;
         break;
       case "orbital":
         platform.userData.orbitalRadius = PLATFORM_MOVEMENT.orbitalRadius;
@@ -512,7 +600,14 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
         break;
       case "pendulum":
         platform.userData.pendulumLength = PLATFORM_MOVEMENT.pendulumLength;
-        platform.userData.pendulumAxis = Math.random() < 0.5 ? "x" : "y";
+        platform.userData.pendulumAxis = randomFloat() < 0.5 ? "x" : "y";
+        break;
+      case "path":
+        platform.userData.path = preparePath(
+          path || PLATFORM_MOVEMENT.path.defaultPath
+        );
+        // Progress along a path is in seconds
+        platform.userData.movementSpeed = 1 / 60;
         break;
     }
 
@@ -520,6 +615,11 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
     addMovementIndicator(platform, scene);
   }
 
+  if (platform.userData.hazard) {
+    platform.userData.hazardOffset = (platform.userData.id * 0.618034) % 1;
+    addHazardTelegraph(platform);
+  }
+
   // Store the red flag platform reference
   if (isRedFlag) {
     redFlagPlatform = platform;
@@ -527,73 +627,438 @@ export function createPlatform(isRedFlag = false, scene, level = 1, options = {}
 
   scene.add(platform);
   platforms.push(platform);
+  addToPlatformIndex(platform);
 
-  // Update the last platform position
-  lastPlatformPosition = { x: nextX, y: nextY, z: nextZ };
+  return platform;
+}
+
+/**
+ * Get the shared material for a platform color
+ * @param {number} color - Base color
+ * @param {Object} options - Surface options
+ * @param {number} options.roughness - Material roughness
+ * @param {number} options.metalness - Material metalness
+ * @param {number} options.emissive - Glow color, if the platform glows
+ * @param {number} options.emissiveIntensity - Glow strength
+ * @returns {THREE.MeshStandardMaterial} The shared material
+ */
+function getPlatformMaterial(
+  color,
+  { roughness = 0.7, metalness = 0.1, emissive = null, emissiveIntensity = 0 } = {}
+) {
+  return getSharedMaterial(
+    `platform:${color}:${roughness}:${metalness}:${emissive}:${emissiveIntensity}`,
+    () =>
+      new THREE.MeshStandardMaterial({
+        color,
+        roughness,
+        metalness,
+        ...(emissive !== null && { emissive, emissiveIntensity }),
+      })
+  );
+}
+
+/**
+ * Create a box mesh from the shared unit cube, scaled to size
+ * @param {number} width - Size along x
+ * @param {number} height - Size along y
+ * @param {number} depth - Size along z
+ * @param {THREE.Material} material - The (shared) material
+ * @returns {THREE.Mesh} The box mesh
+ */
+function createBoxMesh(width, height, depth, material) {
+  const mesh = new THREE.Mesh(
+    getSharedGeometry("platform-box", () => new THREE.BoxGeometry(1, 1, 1)),
+    material
+  );
+  mesh.scale.set(width, height, depth);
+  return mesh;
+}
+
+/**
+ * Create a flat disc mesh from the shared unit cylinder, scaled to size
+ * @param {number} radius - Disc radius
+ * @param {number} height - Disc thickness
+ * @param {THREE.Material} material - The (shared) material
+ * @returns {THREE.Mesh} The disc mesh
+ */
+function createCylinderMesh(radius, height, material) {
+  const mesh = new THREE.Mesh(
+    getSharedGeometry(
+      "platform-cylinder",
+      () => new THREE.CylinderGeometry(1, 1, 1, 32)
+    ),
+    material
+  );
+  mesh.scale.set(radius, height, radius);
+  return mesh;
+}
+
+/**
+ * Create the dark inner surface of a trampoline
+ * Sizes are relative to the scaled trampoline it is added to
+ * @param {number} scaleFactor - Share of the trampoline the surface covers
+ * @param {boolean} isRound - Whether the trampoline is round
+ * @returns {THREE.Mesh} The inner surface
+ */
+function createInnerTrampolineSurface(scaleFactor, isRound = false) {
+  const material = getPlatformMaterial(0x333333);
+  const innerMesh = isRound
+    ? createCylinderMesh(scaleFactor, 1.05, material) // Slightly taller
+    : createBoxMesh(scaleFactor, 1.05, scaleFactor, material);
+  innerMesh.position.y = 0.05; // Raise slightly
+  return innerMesh;
+}
+
+// Chevron patterns for conveyor belts by the texture axis they point along
+const CHEVRON_SIZE = 16;
+const chevronPatterns = {};
+
+/**
+ * Get the pixels of a light chevron on a dark belt, pointing along +u or +v
+ * @param {string} textureAxis - "u" or "v"
+ * @returns {Uint8Array} RGBA pixels, CHEVRON_SIZE square
+ */
+function getChevronPattern(textureAxis) {
+  if (!chevronPatterns[textureAxis]) {
+    const data = new Uint8Array(CHEVRON_SIZE * CHEVRON_SIZE * 4);
+    for (let row = 0; row < CHEVRON_SIZE; row++) {
+      for (let column = 0; column < CHEVRON_SIZE; column++) {
+        const along = textureAxis === "v" ? row : column;
+        const across = textureAxis === "v" ? column : row;
+        const tip = CHEVRON_SIZE * 0.7 - Math.abs(across - (CHEVRON_SIZE - 1) / 2);
+        const shade = along <= tip && along > tip - 3 ? 220 : 40;
+        data.set([shade, shade, shade, 255], (row * CHEVRON_SIZE + column) * 4);
+      }
+    }
+    chevronPatterns[textureAxis] = data;
+  }
+  return chevronPatterns[textureAxis];
+}
+
+/**
+ * Create the scrolling belt on top of a conveyor
+ * Sizes are relative to the scaled platform it is added to, like the trampoline surface
+ * @param {Object} conveyor - { axis, speed } of the belt
+ * @param {number} width - Platform width
+ * @param {number} depth - Platform depth
+ * @param {boolean} isRound - Whether the platform is round
+ * @returns {THREE.Mesh} The belt, with its own texture to scroll
+ */
+function createConveyorBelt(conveyor, width, depth, isRound) {
+  // A square belt fits inside a round platform
+  const coverage = isRound ? 0.7 : 0.9;
+  const texture = new THREE.DataTexture(
+    getChevronPattern(conveyor.axis === "side" ? "u" : "v"),
+    CHEVRON_SIZE,
+    CHEVRON_SIZE,
+    THREE.RGBAFormat
+  );
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.needsUpdate = true;
+
+  // One chevron per stripeSpacing; a negative repeat flips them to point the
+  // way the belt runs (u runs along the side axis, v runs forward)
+  const across = (width * coverage) / CONVEYORS.stripeSpacing;
+  const along = (depth * coverage) / CONVEYORS.stripeSpacing;
+  const direction = Math.sign(conveyor.speed) || 1;
+  if (conveyor.axis === "side") {
+    texture.repeat.set(direction * across, along);
+  } else {
+    texture.repeat.set(across, -direction * along);
+  }
+
+  const belt = createBoxMesh(
+    coverage,
+    1.02,
+    coverage,
+    new THREE.MeshStandardMaterial({ map: texture, roughness: 0.9 })
+  );
+  belt.position.y = 0.02; // Just above the platform top
+  return belt;
+}
+
+/**
+ * Get how far a conveyor carries the ball per frame, in world space
+ * @param {Object} conveyor - { axis, speed } of the belt
+ * @param {Object} gravityConfig - The platform's gravity frame
+ * @returns {THREE.Vector3} Push per frame at 60 fps
+ */
+function getConveyorVelocity(conveyor, gravityConfig) {
+  if (conveyor.axis === "z") return new THREE.Vector3(0, 0, conveyor.speed);
+  return gravityConfig.side.clone().multiplyScalar(conveyor.speed);
+}
+
+/**
+ * Get how a surface material is drawn
+ * @param {string} surface - A key of SURFACE_MATERIALS
+ * @returns {Object} Material options for getPlatformMaterial, plus its color (empty for normal)
+ */
+function getSurfaceLook(surface = "normal") {
+  return (SURFACE_MATERIALS[surface] || SURFACE_MATERIALS.normal).look || {};
+}
+
+/**
+ * Roll a surface material by the generator weights in SURFACE_MATERIALS
+ * @returns {string} A key of SURFACE_MATERIALS
+ */
+function pickSurface() {
+  let roll = randomFloat();
+  for (const [surface, material] of Object.entries(SURFACE_MATERIALS)) {
+    if (roll < material.weight) return surface;
+    roll -= material.weight;
+  }
+  return "normal";
+}
+
+/**
+ * Pick the color of a platform from what it does
+ * @param {Object} spec - Platform description (see buildPlatform)
+ * @returns {number} The platform color
+ */
+function getPlatformColor(spec) {
+  const challengeType = spec.challengeType || "regular";
+
+  if (spec.bounceEffect === "forward") {
+    return spec.isRedFlag ? PLATFORM_COLORS.redFlag : PLATFORM_COLORS.trampoline;
+  }
+  if (spec.bounceEffect === "backward") return PLATFORM_COLORS.diagonal;
+  if (challengeType !== "regular") return PLATFORM_COLORS[challengeType];
+  const look = getSurfaceLook(spec.surface);
+  if (look.color !== undefined) return look.color;
+  return spec.movementType ? PLATFORM_COLORS.moving : PLATFORM_COLORS.regular;
+}
 
+/**
+ * Create a platform from a hand-authored level entry
+ * The entry's position is relative to the anchor, measured in the entry's gravity frame
+ * (entries without one belong to the gravity direction the course is generating for)
+ * @param {Object} entry - Validated platform entry (see level-files.js)
+ * @param {THREE.Scene} scene - The scene to add the platform to
+ * @param {Object} anchor - World position {x, y, z} the layout starts from
+ * @param {Object} timing - The layout's timing: { crumbling } (see getCrumbleTiming)
+ *   and { hazards } (see getHazardTiming)
+ * @returns {THREE.Mesh} The platform object
+ */
+export function createPlatformFromSpec(
+  entry,
+  scene,
+  anchor = { x: 0, y: 0, z: 0 },
+  timing = {}
+) {
+  const gravityDirection = entry.gravityDirection || generationGravityDirection;
+  const gravityConfig = getGravityConfig(gravityDirection);
+  const size = entry.size || {};
+  const isRedFlag = !!entry.redFlag;
+
+  const platform = buildPlatform(
+    {
+      side: getPositionAlong(anchor, gravityConfig.side) + entry.position.x,
+      normal: getPositionAlong(anchor, gravityConfig.normal) + entry.position.y,
+      z: anchor.z + entry.position.z,
+      width: size.width,
+      depth: size.depth,
+      // Red flag platforms are always big round trampolines, like generated ones
+      radius: isRedFlag ? size.radius || 12 : size.radius || 0,
+      bounceEffect: isRedFlag ? "forward" : entry.bounceEffect || null,
+      challengeType: entry.challengeType || "regular",
+      conveyor: entry.conveyor || null,
+      surface: entry.surface || "normal",
+      movementType: entry.movementType || null,
+      path: entry.path || null,
+      crumbleTiming: timing.crumbling || null,
+      hazard: entry.hazard || null,
+      hazardTiming: timing.hazards || null,
+      gravityDirection,
+      isRedFlag,
+      laneType: entry.lane || "center",
+      collisionMode: entry.collision || PLATFORM_COLLISION.defaultMode,
+    },
+    scene
+  );
+  if (entry.checkpoint) markCheckpoint(platform);
   return platform;
 }
 
+/**
+ * Check a placement against the previous platform and fix it if the ball
+ * could not reach it: first re-roll the position, then pull it closer (and lower)
+ * @param {Object} placement - Candidate placement {side, normal, z, type}
+ * @param {number} width - Platform width
+ * @param {number} depth - Platform depth
+ * @param {Object} sway - How far the platform moves along each axis (see getMovementSway)
+ * @param {number} level - Current level
+ * @param {Object} options - createPlatform options
+ * @returns {Object|null} A reachable placement, or null if none was found
+ */
+function ensureReachablePlacement(placement, width, depth, sway, level, options) {
+  if (!lastPlatformShape) return placement;
+
+  const from = lastPlatformShape;
+  const speeds = getSpeedSamples(placement.z, generationSpeed);
+  const fits = (candidate) =>
+    isReachableAtSpeeds(
+      from,
+      describePlacement(candidate, width, depth, null, "normal", sway),
+      speeds
+    );
+
+  if (fits(placement)) {
+    recordReachability("firstTry");
+    return placement;
+  }
+
+  for (let attempt = 0; attempt < REACHABILITY.rerollAttempts; attempt++) {
+    const candidate = pickNextPlacement(level, options);
+    if (fits(candidate)) {
+      recordReachability("rerolled");
+      return candidate;
+    }
+  }
+
+  // Pull the platform toward the previous one, trying forward gaps nearest
+  // the original first so the course keeps its shape where possible
+  const adjacentZ = from.z - from.depth / 2 - depth / 2;
+  const gapCandidates = [];
+  for (let gap = 0; gap <= 48; gap += 2) {
+    gapCandidates.push(adjacentZ - gap);
+  }
+  gapCandidates.sort(
+    (a, b) => Math.abs(a - placement.z) - Math.abs(b - placement.z)
+  );
+
+  // Failing that, drop it far enough that the previous platform at the bottom
+  // of its movement is still above this one at the top of its own
+  const drops = [0];
+  if (from.sway.normal + sway.normal > 0) drops.push(from.sway.normal + sway.normal);
+
+  for (const drop of drops) {
+    for (let step = REACHABILITY.pullSteps; step >= 0; step--) {
+      const pull = step / REACHABILITY.pullSteps;
+      const side = from.side + (placement.side - from.side) * pull;
+      const normal = from.normal + (placement.normal - from.normal) * pull - drop;
+
+      for (const z of gapCandidates) {
+        const candidate = { ...placement, side, normal, z };
+        if (fits(candidate)) {
+          recordReachability("pulled");
+          return candidate;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick the next platform's lane and position relative to the last platform
+ * The lane comes from the level's transition table (see LANE_TRANSITIONS)
+ * @param {number} level - Current level
+ * @param {Object} options - createPlatform options (sideOffset)
+ * @returns {Object} Placement {side, normal, z, type} in the gravity frame
+ */
+function pickNextPlacement(level, options = {}) {
+  let nextX, nextY, nextZ;
+
+  // Pick the lane from the level's transition table
+  const platformType = pickNextLane(lastPlatformType, level);
+
+  // Set lateral position based on platform type
+  switch (platformType) {
+    case "far-far-left":
+      nextX = -35 - randomFloat() * 5;
+      break;
+    case "far-left":
+      nextX = -25 - randomFloat() * 5;
+      break;
+    case "left":
+      nextX = -15 - randomFloat() * 5;
+      break;
+    case "center-left":
+      nextX = -7 - randomFloat() * 3;
+      break;
+    case "center":
+      nextX = randomFloat() * 10 - 5;
+      break;
+    case "center-right":
+      nextX = 7 + randomFloat() * 3;
+      break;
+    case "right":
+      nextX = 15 + randomFloat() * 5;
+      break;
+    case "far-right":
+      nextX = 25 + randomFloat() * 5;
+      break;
+    case "far-far-right":
+      nextX = 35 + randomFloat() * 5;
+      break;
+  }
+
+  // Add some minor variation to make each path less predictable
+  nextX += randomFloat() * 2 - 1;
+  nextX += laneCentre + (options.sideOffset || 0);
+
+  // Always go lower or stay at same level, never go higher
+  // This ensures the game can continue indefinitely downward
+  const heightVariation = randomFloat();
+  if (heightVariation < 0.8) {
+    // 80% chance to go lower (increased from 70%)
+    nextY = lastPlatformPosition.y - (2 + randomFloat() * 4); // Increased descent (2-6 units instead of 1-4)
+  } else {
+    // 20% chance to stay at same level (decreased from 30%)
+    nextY = lastPlatformPosition.y;
+  }
+
+  // Random distance variation - reduced by 25% to make the stretch shorter
+  // (then stretched or shortened by the director)
+  nextZ =
+    lastPlatformPosition.z -
+    (6 + randomFloat() * 5.25) * getDifficultyScale("gap"); // 25% reduction from (8 + Math.random() * 7)
+
+  return { side: nextX, normal: nextY, z: nextZ, type: platformType };
+}
+
 /**
  * Create the starting platforms with a green trampoline as the first platform
  * @param {THREE.Scene} scene - The scene to add platforms to
+ * @param {number} generatedCount - Generated platforms after the trampoline (0 when a level file follows)
  */
-export function createStartingPlatforms(scene) {
+export function createStartingPlatforms(
+  scene,
+  generatedCount = getLevelPlatformCount(1)
+) {
   // Remove any existing platforms and their indicators
-  platforms.forEach((platform) => {
-    // Remove movement indicators if they exist
-    if (
-      platform.userData.indicators &&
-      platform.userData.indicators.length > 0
-    ) {
-      platform.userData.indicators.forEach((indicator) => {
-        scene.remove(indicator);
-      });
-    }
-
-    scene.remove(platform);
-  });
+  platforms.forEach((platform) => destroyPlatform(platform, scene));
   platforms = [];
 
   // Reset platform position tracking
   lastPlatformPosition = { x: 0, y: 0, z: 0 };
   lastPlatformType = "center";
   redFlagPlatform = null;
+  generationGravityDirection = "down";
+  laneCentre = 0;
 
   // Create a green trampoline as the first platform (speed-up)
   const trampolineWidth = 10;
   const trampolineDepth = 10;
-  const innerTrampolineColor = 0x333333; // Dark grey
   const innerScaleFactor = 0.8; // 80% inner area
   const tiltAngle = 2; // Degrees
 
   // Base (Outer Frame - Green)
-  const trampolineGeometry = new THREE.BoxGeometry(
+  const trampoline = createBoxMesh(
     trampolineWidth,
     1,
-    trampolineDepth
+    trampolineDepth,
+    getPlatformMaterial(PLATFORM_COLORS.trampoline)
   );
-  const trampolineMaterial = new THREE.MeshStandardMaterial({
-    color: PLATFORM_COLORS.trampoline, // Green
-    roughness: 0.7,
-    metalness: 0.1,
-  });
-  const trampoline = new THREE.Mesh(trampolineGeometry, trampolineMaterial);
 
   // Apply REVERSED forward tilt (now backward)
   trampoline.rotation.x = THREE.MathUtils.degToRad(-tiltAngle); // Reversed sign
 
   // Inner Surface (Dark Grey)
-  const innerWidth = trampolineWidth * innerScaleFactor;
-  const innerDepth = trampolineDepth * innerScaleFactor;
-  const innerGeometry = new THREE.BoxGeometry(innerWidth, 1.05, innerDepth); // Slightly taller
-  const innerMaterial = new THREE.MeshStandardMaterial({
-    color: innerTrampolineColor,
-    roughness: 0.7,
-    metalness: 0.1,
-  });
-  const innerMesh = new THREE.Mesh(innerGeometry, innerMaterial);
-  innerMesh.position.y = 0.05; // Raise slightly
+  const innerMesh = createInnerTrampolineSurface(innerScaleFactor);
   trampoline.add(innerMesh); // Add inner mesh as child
 
   // Position and shadows
@@ -623,14 +1088,24 @@ export function createStartingPlatforms(scene) {
 
   scene.add(trampoline);
   platforms.push(trampoline);
+  addToPlatformIndex(trampoline);
+  // Falls before the first checkpoint go back to the start
+  markCheckpoint(trampoline, false);
 
   // Update the last platform position
   lastPlatformPosition = { x: 0, y: 0, z: 0 };
+  lastPlatformShape = describePlacement(
+    { side: 0, normal: 0, z: 0 },
+    trampolineWidth,
+    trampolineDepth,
+    "forward"
+  );
 
   // Create additional platforms
-  for (let i = 0; i < GAME_SETTINGS.platformsPerLevel; i++) {
+  for (let i = 0; i < generatedCount; i++) {
     createPlatform(false, scene, 1); // Always use level 1 for starting platforms
   }
+  reportReachability();
 }
 
 /**
@@ -641,17 +1116,7 @@ export function removeAllPlatformsExceptRedFlag(scene) {
   // Keep only the red flag platform
   platforms = platforms.filter((platform) => {
     if (!platform.userData.isRedFlagPlatform) {
-      // Remove movement indicators if they exist
-      if (
-        platform.userData.indicators &&
-        platform.userData.indicators.length > 0
-      ) {
-        platform.userData.indicators.forEach((indicator) => {
-          scene.remove(indicator);
-        });
-      }
-
-      scene.remove(platform);
+      destroyPlatform(platform, scene);
       return false;
     }
     return true;
@@ -670,19 +1135,7 @@ export function generateNewLevel(level, speed, scene) {
   const redFlagPlatformReached = false;
 
   // Remove all existing platforms and their indicators
-  platforms.forEach((platform) => {
-    // Remove movement indicators if they exist
-    if (
-      platform.userData.indicators &&
-      platform.userData.indicators.length > 0
-    ) {
-      platform.userData.indicators.forEach((indicator) => {
-        scene.remove(indicator);
-      });
-    }
-
-    scene.remove(platform);
-  });
+  platforms.forEach((platform) => destroyPlatform(platform, scene));
   platforms = [];
   redFlagPlatform = null;
 
@@ -694,21 +1147,19 @@ export function generateNewLevel(level, speed, scene) {
   // Update last platform position for next level generation
   lastPlatformPosition = { x: redFlagX, y: redFlagY, z: redFlagZ };
   lastPlatformType = "center";
+  lastPlatformShape = null;
+  generationGravityDirection = "down";
+  laneCentre = 0;
 
   // Create the red flag platform (which is a speed-up trampoline)
   createPlatform(true, scene, level);
 
-  // Calculate adjusted platform count based on level
-  // Higher levels have slightly fewer platforms but they're more challenging
-  const platformCount = Math.max(
-    10, // Minimum 10 platforms per level
-    Math.floor(GAME_SETTINGS.platformsPerLevel * (1 - level * 0.02))
-  );
-
   // Generate regular platforms for the next level with increasing difficulty
+  const platformCount = getLevelPlatformCount(level);
   for (let i = 0; i < platformCount; i++) {
     createPlatform(false, scene, level);
   }
+  reportReachability();
 
   return {
     speed,
@@ -716,107 +1167,209 @@ export function generateNewLevel(level, speed, scene) {
   };
 }
 
+// Ball radius for more accurate collision detection
+const BALL_RADIUS = 1.0;
+
+// Scratch objects for contact queries
+const contactOffset = new THREE.Vector3();
+const inverseRotation = new THREE.Quaternion();
+
 /**
- * Check if the ball is on a platform and return platform info
- * @param {THREE.Vector3} ballPosition - The ball position
- * @param {Object} ballVelocity - The ball velocity
- * @returns {Object} Platform collision information
+ * Express a point in a platform's own frame (rotation only, ignoring mesh scale)
+ * Platforms are built with x along their side axis and y along their support
+ * normal, so undoing the rotation lines the point up with those
+ * @param {THREE.Mesh} platform - The platform
+ * @param {THREE.Vector3} position - World position
+ * @returns {Object} { normal, side, z } relative to the platform centre
  */
-export function checkPlatformCollision(ballPosition, ballVelocity) {
-  // Ball radius for more accurate collision detection
-  const ballRadius = 1.0;
-
-  for (const platform of platforms) {
-    if (platform.userData.isCollapsed || platform.visible === false) {
-      continue;
-    }
-    if ((platform.userData.gravityDirection || "down") !== activeGravityDirection) {
-      continue;
-    }
+function toPlatformFrame(platform, position) {
+  inverseRotation.copy(platform.quaternion).invert();
+  contactOffset.subVectors(position, platform.position).applyQuaternion(inverseRotation);
+  return {
+    normal: contactOffset.y,
+    side: contactOffset.x,
+    z: contactOffset.z,
+  };
+}
 
-    let collisionDetected = false;
-    let platformSurface = 0;
-    const platformGravityConfig = getGravityConfig(
-      platform.userData.gravityDirection || "down"
-    );
-    const ballNormalPosition = getPositionAlong(
-      ballPosition,
-      platformGravityConfig.normal
-    );
-    const ballSidePosition = getPositionAlong(
-      ballPosition,
-      platformGravityConfig.side
-    );
-    const platformNormalPosition = getPositionAlong(
-      platform.position,
-      platformGravityConfig.normal
-    );
-    const platformSidePosition = getPositionAlong(
-      platform.position,
-      platformGravityConfig.side
-    );
-    const gravityVelocity = getPositionAlong(
-      ballVelocity,
-      platformGravityConfig.gravity
-    );
+/**
+ * Check whether a point in the platform frame is over its supported face,
+ * give or take the edge overhang
+ * @param {THREE.Mesh} platform - The platform
+ * @param {number} side - Side position in the platform frame
+ * @param {number} z - Z position in the platform frame
+ * @returns {boolean} Whether the ball's centre is over the face
+ */
+function isOverFootprint(platform, side, z) {
+  const overhang = PLATFORM_COLLISION.edgeOverhang;
+  if (platform.userData.isRoundPlatform) {
+    const reach = platform.userData.radius + overhang;
+    return side * side + z * z <= reach * reach;
+  }
+  return (
+    Math.abs(side) <= platform.userData.width / 2 + overhang &&
+    Math.abs(z) <= platform.userData.depth / 2 + overhang
+  );
+}
 
-    // Check collision based on platform shape
-    if (platform.userData.isRoundPlatform) {
-      // For round platforms, use distance-based collision detection
-      const dx = ballSidePosition - platformSidePosition;
-      const dz = ballPosition.z - platform.position.z;
-      const distanceSquared = dx * dx + dz * dz;
-      const platformRadius = platform.userData.radius;
-      platformSurface = platformNormalPosition + 0.5;
-
-      // Check if the ball is within the platform's radius and at the right height
-      if (
-        distanceSquared <= platformRadius * 0.9 * (platformRadius * 0.9) &&
-        Math.abs(ballNormalPosition - ballRadius - platformSurface) <= 0.5 &&
-        gravityVelocity >= 0 // Only count as collision when falling or stationary
-      ) {
-        collisionDetected = true;
-      }
-    } else {
-      // For rectangular platforms, use the existing box collision detection
-      const platformBounds = {
-        minSide: platformSidePosition - platform.userData.width / 2,
-        maxSide: platformSidePosition + platform.userData.width / 2,
-        minZ: platform.position.z - platform.userData.depth / 2,
-        maxZ: platform.position.z + platform.userData.depth / 2,
-        surface: platformNormalPosition + 0.5, // Supported face of the platform
-      };
+/**
+ * Find where the ball touches a platform, using the platform's real orientation
+ * (trampolines are tilted, so their surface is not level)
+ * @param {THREE.Mesh} platform - The platform
+ * @param {THREE.Vector3} ballPosition - The ball position
+ * @param {Object} ballVelocity - The ball velocity
+ * @returns {Object|null} { platformSurface, surfaceNormal }, or null if there is no contact
+ */
+function getContact(platform, ballPosition, ballVelocity) {
+  const gravityConfig = getGravityConfig(
+    platform.userData.gravityDirection || "down"
+  );
+
+  // Only count as collision when falling or stationary
+  if (getPositionAlong(ballVelocity, gravityConfig.gravity) < 0) return null;
+
+  // The ball must be resting on (or just reaching) the supported face
+  const local = toPlatformFrame(platform, ballPosition);
+  const halfThickness = (platform.userData.thickness || 1) / 2;
+  if (
+    Math.abs(local.normal - halfThickness - BALL_RADIUS) >
+    PLATFORM_COLLISION.surfaceTolerance
+  ) {
+    return null;
+  }
+
+  // And its centre must be over the face
+  if (!isOverFootprint(platform, local.side, local.z)) return null;
+
+  // Normal of the supported face in world space
+  const surfaceNormal = new THREE.Vector3(0, 1, 0).applyQuaternion(
+    platform.quaternion
+  );
+
+  // Height along the gravity normal at which the ball rests on the face,
+  // keeping its side and z position: solve surfaceNormal . (rest - position) = halfThickness + radius
+  contactOffset.subVectors(ballPosition, platform.position);
+  const offsetAlongNormal = getPositionAlong(contactOffset, gravityConfig.normal);
+  const rise = getPositionAlong(surfaceNormal, gravityConfig.normal);
+  const restHeight =
+    (halfThickness +
+      BALL_RADIUS -
+      (surfaceNormal.dot(contactOffset) - offsetAlongNormal * rise)) /
+    rise;
+
+  return {
+    platformSurface:
+      getPositionAlong(platform.position, gravityConfig.normal) +
+      restHeight -
+      BALL_RADIUS,
+    surfaceNormal,
+  };
+}
+
+/**
+ * Sweep the ball from its previous position to its current one and find when
+ * it first reaches a platform's surface, so fast falls and long frames can't
+ * skip past the surface tolerance
+ * @param {THREE.Mesh} platform - The platform
+ * @param {THREE.Vector3} fromPosition - Ball position before the move
+ * @param {THREE.Vector3} toPosition - Ball position after the move
+ * @returns {number|null} Fraction of the move (0-1) at which it lands, or null if it misses
+ */
+function sweepContact(platform, fromPosition, toPosition) {
+  const from = toPlatformFrame(platform, fromPosition);
+  const to = toPlatformFrame(platform, toPosition);
+  const restHeight = (platform.userData.thickness || 1) / 2 + BALL_RADIUS;
+  const bandBottom = restHeight - PLATFORM_COLLISION.surfaceTolerance;
+
+  // Only moves that start above the contact band and end below it
+  // (anything that ends inside the band is found by getContact)
+  if (from.normal < bandBottom || to.normal >= bandBottom) return null;
+
+  const t = Math.max(0, (from.normal - restHeight) / (from.normal - to.normal));
+  const side = from.side + (to.side - from.side) * t;
+  const z = from.z + (to.z - from.z) * t;
+  return isOverFootprint(platform, side, z) ? t : null;
+}
+
+/**
+ * Build the contact information returned by queryPlatformContact
+ * @param {THREE.Mesh} platform - The platform the ball is on
+ * @param {Object} contact - Result of getContact
+ * @param {THREE.Vector3|null} contactPosition - Where a swept ball landed, if it was swept
+ * @returns {Object} Contact information
+ */
+function describeContact(platform, contact, contactPosition = null) {
+  return {
+    onPlatform: true,
+    bounceEffect: platform.userData.bounceEffect,
+    isRedFlagPlatform: platform.userData.isRedFlagPlatform,
+    isTrampoline: platform.userData.isTrampoline,
+    isMovingPlatform: platform.userData.isMovingPlatform,
+    challengeType: platform.userData.challengeType || "regular",
+    surface: platform.userData.surface || "normal",
+    platformId: platform.userData.id,
+    platform: platform,
+    platformSurface: contact.platformSurface,
+    supportNormal: platform.userData.supportNormal,
+    surfaceNormal: contact.surfaceNormal,
+    contactPosition,
+    ballRadius: BALL_RADIUS,
+  };
+}
+
+/**
+ * Check whether the ball may collide with a platform at all right now
+ * @param {THREE.Mesh} platform - The platform
+ * @returns {boolean} Whether the platform is solid and in the active gravity frame
+ */
+function isCollidable(platform) {
+  return (
+    !platform.userData.isCollapsed &&
+    platform.visible !== false &&
+    (platform.userData.gravityDirection || "down") === activeGravityDirection
+  );
+}
+
+/**
+ * Find the platform the ball is on and how it supports the ball
+ * Only platforms near the ball (from the spatial index) are checked. When the
+ * previous position is given, the move since then is swept as well; a swept
+ * landing sets contactPosition to where the ball met the surface.
+ * @param {THREE.Vector3} ballPosition - The ball position
+ * @param {Object} ballVelocity - The ball velocity
+ * @param {THREE.Vector3} previousPosition - Ball position before this frame's move (optional)
+ * @returns {Object} Contact information (platform, platformSurface, supportNormal, surfaceNormal, contactPosition, ...)
+ */
+export function queryPlatformContact(ballPosition, ballVelocity, previousPosition = null) {
+  for (const platform of getPlatformsNear(ballPosition.z)) {
+    if (!isCollidable(platform)) continue;
 
-      // Improved collision detection that accounts for the ball's radius
-      if (
-        ballSidePosition + ballRadius * 0.8 >= platformBounds.minSide &&
-        ballSidePosition - ballRadius * 0.8 <= platformBounds.maxSide &&
-        ballPosition.z + ballRadius * 0.8 >= platformBounds.minZ &&
-        ballPosition.z - ballRadius * 0.8 <= platformBounds.maxZ &&
-        Math.abs(ballNormalPosition - ballRadius - platformBounds.surface) <=
-        0.5 &&
-        gravityVelocity >= 0 // Only count as collision when falling or stationary
-      ) {
-        collisionDetected = true;
-        platformSurface = platformBounds.surface;
+    const contact = getContact(platform, ballPosition, ballVelocity);
+    if (contact) return describeContact(platform, contact);
+  }
+
+  if (previousPosition) {
+    // The earliest surface crossed during the move is where the ball landed
+    let firstPlatform = null;
+    let firstTime = Infinity;
+    for (const platform of getPlatformsBetween(previousPosition.z, ballPosition.z)) {
+      if (!isCollidable(platform)) continue;
+
+      const t = sweepContact(platform, previousPosition, ballPosition);
+      if (t !== null && t < firstTime) {
+        firstPlatform = platform;
+        firstTime = t;
       }
     }
 
-    // If collision detected, return relevant info including the bounce effect
-    if (collisionDetected) {
-      return {
-        onPlatform: true,
-        bounceEffect: platform.userData.bounceEffect,
-        isRedFlagPlatform: platform.userData.isRedFlagPlatform,
-        isTrampoline: platform.userData.isTrampoline,
-        isMovingPlatform: platform.userData.isMovingPlatform,
-        challengeType: platform.userData.challengeType || "regular",
-        platformId: platform.userData.id,
-        platform: platform,
-        platformSurface: platformSurface,
-        supportNormal: platform.userData.supportNormal,
-        ballRadius: ballRadius,
-      };
+    if (firstPlatform) {
+      const contactPosition = new THREE.Vector3().lerpVectors(
+        previousPosition,
+        ballPosition,
+        firstTime
+      );
+      const contact = getContact(firstPlatform, contactPosition, ballVelocity);
+      if (contact) return describeContact(firstPlatform, contact, contactPosition);
     }
   }
 
@@ -828,13 +1381,120 @@ export function checkPlatformCollision(ballPosition, ballVelocity) {
     isTrampoline: false,
     isMovingPlatform: false,
     challengeType: "none",
+    surface: "normal",
     platformId: null,
     platform: null,
     platformSurface: 0,
     supportNormal: { x: 0, y: 1, z: 0 },
+    surfaceNormal: { x: 0, y: 1, z: 0 },
+    contactPosition: null,
   };
 }
 
+/**
+ * Push the ball out of the sides and undersides of solid platforms
+ * Landing on top is left to queryPlatformContact; "oneWay" platforms are
+ * skipped entirely so the ball can pass through them from below
+ * @param {THREE.Vector3} ballPosition - The ball position (moved out of any platform)
+ * @param {Object} ballVelocity - The ball velocity (stopped where it hits a face)
+ * @returns {Object} { hitSide, hitHead } - Which kinds of face the ball hit
+ */
+export function resolvePlatformBlocking(ballPosition, ballVelocity) {
+  const result = { hitSide: false, hitHead: false };
+
+  for (const platform of getPlatformsNear(ballPosition.z)) {
+    if (!isCollidable(platform)) continue;
+    if (
+      (platform.userData.collisionMode || PLATFORM_COLLISION.defaultMode) !== "solid"
+    ) {
+      continue;
+    }
+
+    const gravityConfig = getGravityConfig(
+      platform.userData.gravityDirection || "down"
+    );
+
+    // Ball position in the platform's own frame
+    const {
+      normal: localNormal,
+      side: localSide,
+      z: localZ,
+    } = toPlatformFrame(platform, ballPosition);
+    const halfThickness = (platform.userData.thickness || 1) / 2;
+
+    // Above the top face: that is a landing, not a block
+    if (localNormal > halfThickness) continue;
+
+    // Closest point of the platform footprint to the ball
+    let closestSide, closestZ;
+    if (platform.userData.isRoundPlatform) {
+      const radial = Math.hypot(localSide, localZ);
+      const limit = radial > platform.userData.radius ? platform.userData.radius / radial : 1;
+      closestSide = localSide * limit;
+      closestZ = localZ * limit;
+    } else {
+      const halfWidth = platform.userData.width / 2;
+      const halfDepth = platform.userData.depth / 2;
+      closestSide = Math.max(-halfWidth, Math.min(halfWidth, localSide));
+      closestZ = Math.max(-halfDepth, Math.min(halfDepth, localZ));
+    }
+    const closestNormal = Math.max(-halfThickness, localNormal);
+
+    let pushSide = localSide - closestSide;
+    let pushNormal = localNormal - closestNormal;
+    let pushZ = localZ - closestZ;
+    const distance = Math.hypot(pushSide, pushNormal, pushZ);
+    if (distance >= BALL_RADIUS) continue;
+
+    if (localNormal < -halfThickness) {
+      // Underside: bonk the ball's head and send it back down
+      const depth = BALL_RADIUS - distance;
+      pushSide = (pushSide / distance) * depth;
+      pushNormal = (pushNormal / distance) * depth;
+      pushZ = (pushZ / distance) * depth;
+      result.hitHead = true;
+    } else if (distance > 0) {
+      // Side face: push straight out of it
+      const depth = BALL_RADIUS - distance;
+      pushSide = (pushSide / distance) * depth;
+      pushZ = (pushZ / distance) * depth;
+      result.hitSide = true;
+    } else if (platform.userData.isRoundPlatform) {
+      // Centre inside the disc: leave by the nearest point of its edge
+      const radial = Math.hypot(localSide, localZ);
+      const out = platform.userData.radius - radial + BALL_RADIUS;
+      pushSide = radial > 0 ? (localSide / radial) * out : out;
+      pushZ = radial > 0 ? (localZ / radial) * out : 0;
+      result.hitSide = true;
+    } else {
+      // Centre inside the footprint: leave by the nearest side or end
+      const sideGap = platform.userData.width / 2 - Math.abs(localSide);
+      const zGap = platform.userData.depth / 2 - Math.abs(localZ);
+      pushSide = sideGap <= zGap ? Math.sign(localSide || 1) * (sideGap + BALL_RADIUS) : 0;
+      pushZ = sideGap <= zGap ? 0 : Math.sign(localZ || 1) * (zGap + BALL_RADIUS);
+      result.hitSide = true;
+    }
+
+    // Back to world space
+    contactOffset
+      .set(pushSide, pushNormal, pushZ)
+      .applyQuaternion(platform.quaternion);
+    ballPosition.add(contactOffset);
+
+    // Stop the part of the velocity heading into the face
+    const sideVelocity = getPositionAlong(ballVelocity, gravityConfig.side);
+    if (pushSide * sideVelocity < 0) {
+      addScaledAxis(ballVelocity, gravityConfig.side, -sideVelocity);
+    }
+    const normalVelocity = -getPositionAlong(ballVelocity, gravityConfig.gravity);
+    if (pushNormal < 0 && normalVelocity > 0) {
+      addScaledAxis(ballVelocity, gravityConfig.normal, -normalVelocity);
+    }
+  }
+
+  return result;
+}
+
 /**
  * Remove platforms that are too far behind
  * @param {THREE.Vector3} ballPosition - The ball position
@@ -843,38 +1503,77 @@ export function checkPlatformCollision(ballPosition, ballVelocity) {
  */
 export function cleanupPlatforms(ballPosition, removeDistance, scene) {
   platforms = platforms.filter((platform) => {
+    // A teleporter exit stays until its entrance is used or left behind
+    if (platform.userData.awaitingTeleport) return true;
+
     if (platform.position.z > ballPosition.z + removeDistance) {
-      // Remove movement indicators if they exist
-      if (
-        platform.userData.indicators &&
-        platform.userData.indicators.length > 0
-      ) {
-        platform.userData.indicators.forEach((indicator) => {
-          scene.remove(indicator);
-        });
+      if (platform.userData.teleportTo) {
+        platform.userData.teleportTo.userData.awaitingTeleport = false;
       }
-
-      scene.remove(platform);
+      destroyPlatform(platform, scene);
       return false;
     }
     return true;
   });
 }
 
+/**
+ * Take a platform and its indicators (movement path, teleporter ring and link)
+ * out of the scene and free what they own
+ * Every removal path goes through here so nothing is left on the GPU
+ * (the caller updates the platforms array)
+ * @param {THREE.Mesh} platform - The platform
+ * @param {THREE.Scene} scene - The scene
+ */
+function destroyPlatform(platform, scene) {
+  if (platform.userData.indicators) {
+    platform.userData.indicators.forEach((indicator) => {
+      scene.remove(indicator);
+      disposeObject(indicator);
+    });
+    platform.userData.indicators = [];
+  }
+
+  scene.remove(platform);
+  disposeObject(platform);
+  removeFromPlatformIndex(platform);
+}
+
+/**
+ * Remove a single platform and its movement indicators
+ * @param {THREE.Mesh} platform - The platform to remove
+ * @param {THREE.Scene} scene - The scene
+ */
+export function removePlatform(platform, scene) {
+  destroyPlatform(platform, scene);
+  platforms = platforms.filter((candidate) => candidate !== platform);
+  if (platform === redFlagPlatform) {
+    redFlagPlatform = null;
+  }
+}
+
 /**
  * Add new platforms as needed
  * @param {THREE.Scene} scene - The scene
  * @param {number} level - Current game level (for difficulty adjustment)
+ * @param {string} gravityDirection - Gravity direction to generate for
+ * @param {number} sideOffset - Lateral offset for generated platforms
+ * @param {Function} spliceSetPiece - Optional, called before each platform; returns true if it placed a set-piece instead
  */
 export function addPlatformsAsNeeded(
   scene,
   level = 1,
-  gravityDirection = activeGravityDirection,
-  sideOffset = 0
+  gravityDirection = generationGravityDirection,
+  sideOffset = 0,
+  spliceSetPiece = null
 ) {
+  if (lastPlatformPosition.z <= GAME_SETTINGS.platformSpawnZ) return;
+
   while (lastPlatformPosition.z > GAME_SETTINGS.platformSpawnZ) {
+    if (spliceSetPiece && spliceSetPiece()) continue;
     createPlatform(false, scene, level, { gravityDirection, sideOffset });
   }
+  reportReachability();
 }
 
 /**
@@ -899,28 +1598,22 @@ export function getRedFlagPlatform() {
  */
 export function resetPlatforms(scene) {
   // Remove all platforms and their indicators
-  platforms.forEach((platform) => {
-    // Remove movement indicators if they exist
-    if (
-      platform.userData.indicators &&
-      platform.userData.indicators.length > 0
-    ) {
-      platform.userData.indicators.forEach((indicator) => {
-        scene.remove(indicator);
-      });
-    }
-
-    scene.remove(platform);
-  });
+  platforms.forEach((platform) => destroyPlatform(platform, scene));
 
   platforms = [];
+  clearPlatformIndex();
   redFlagPlatform = null;
   nextPlatformId = 1;
   activeGravityDirection = "down";
+  generationGravityDirection = "down";
+  laneCentre = 0;
 
   // Reset platform position tracking
   lastPlatformPosition = { x: 0, y: 0, z: 0 };
   lastPlatformType = "center";
+  lastPlatformShape = null;
+  generationSpeed = GAME_SETTINGS.initialSpeed;
+  resetReachabilityStats();
 }
 
 /**
@@ -928,8 +1621,9 @@ export function resetPlatforms(scene) {
  * This is used to control where new platforms will be generated from
  * @param {Object} position - The position {x, y, z} to set as the last platform position
  * @param {string} type - The platform type to set as the last platform type
+ * @param {THREE.Mesh} platform - Platform the ball leaves from, for reachability checks
  */
-export function setLastPlatformState(position, type = "center") {
+export function setLastPlatformState(position, type = "center", platform = null) {
   console.log(
     `Setting last platform position to: ${JSON.stringify(
       position
@@ -937,6 +1631,233 @@ export function setLastPlatformState(position, type = "center") {
   );
   lastPlatformPosition = { ...position };
   lastPlatformType = type;
+  lastPlatformShape = platform ? describePlatform(platform) : null;
+}
+
+/**
+ * Describe an existing platform for reachability checks
+ * @param {THREE.Mesh} platform - The platform
+ * @returns {Object} Platform descriptor in its gravity frame
+ */
+function describePlatform(platform) {
+  const gravityConfig = getGravityConfig(
+    platform.userData.gravityDirection || "down"
+  );
+  return describePlacement(
+    {
+      side: getPositionAlong(platform.position, gravityConfig.side),
+      normal: getPositionAlong(platform.position, gravityConfig.normal),
+      z: platform.position.z,
+    },
+    platform.userData.width,
+    platform.userData.depth,
+    platform.userData.bounceEffect || null,
+    platform.userData.surface || "normal",
+    getMovementSway(platform.userData.movementType, platform.userData.path)
+  );
+}
+
+/**
+ * Get the world position of the last platform's front edge, for placing
+ * hand-authored layouts
+ * @param {string} gravityDirection - Gravity direction the last position was generated for
+ * @returns {THREE.Vector3} World position
+ */
+export function getLastPlatformAnchor(gravityDirection = generationGravityDirection) {
+  const gravityConfig = getGravityConfig(gravityDirection);
+  const halfDepth = lastPlatformShape ? lastPlatformShape.depth / 2 : 0;
+  const anchor = new THREE.Vector3(0, 0, lastPlatformPosition.z - halfDepth);
+  addScaledAxis(anchor, gravityConfig.side, lastPlatformPosition.x);
+  addScaledAxis(anchor, gravityConfig.normal, lastPlatformPosition.y);
+  return anchor;
+}
+
+/**
+ * Turn the generator to a new gravity direction at the end of the course so far
+ * Places a wide landing platform below where the ball leaves the last
+ * platform (below in the new direction), and generation carries on from it
+ * @param {string} toDirection - Gravity direction to generate for from now on
+ * @param {THREE.Scene} scene - The scene
+ * @returns {THREE.Vector3} Where the ball crosses into the new direction (for the gate)
+ */
+export function turnGenerationGravity(toDirection, scene) {
+  const fromConfig = getGravityConfig(generationGravityDirection);
+  const toConfig = getGravityConfig(toDirection);
+  const halfWidth = lastPlatformShape ? lastPlatformShape.width / 2 : 0;
+  const halfDepth = lastPlatformShape ? lastPlatformShape.depth / 2 : 0;
+
+  // The ball leaves over the front edge, resting on the last platform
+  const crossing = new THREE.Vector3(
+    0,
+    0,
+    lastPlatformPosition.z - halfDepth - GRAVITY_GATES.gap
+  );
+  addScaledAxis(crossing, fromConfig.side, lastPlatformPosition.x);
+  addScaledAxis(crossing, fromConfig.normal, lastPlatformPosition.y + 0.5 + BALL_RADIUS);
+
+  // Anywhere across the old platform's width may now be "up" or "down", so
+  // the landing goes below all of it
+  const widthAlongNormal =
+    Math.abs(getPositionAlong(fromConfig.side, toConfig.normal)) *
+    (halfWidth + PLATFORM_COLLISION.edgeOverhang);
+  const side = getPositionAlong(crossing, toConfig.side);
+  const normal =
+    getPositionAlong(crossing, toConfig.normal) -
+    widthAlongNormal -
+    GRAVITY_GATES.landingDrop -
+    0.5 -
+    BALL_RADIUS;
+  const z = crossing.z - GRAVITY_GATES.landingDepth / 2;
+
+  generationGravityDirection = toDirection;
+  laneCentre = side;
+
+  buildPlatform(
+    {
+      side,
+      normal,
+      z,
+      width: GRAVITY_GATES.landingWidth,
+      depth: GRAVITY_GATES.landingDepth,
+      gravityDirection: toDirection,
+    },
+    scene
+  );
+
+  lastPlatformPosition = { x: side, y: normal, z };
+  lastPlatformType = "center";
+  lastPlatformShape = describePlacement(
+    { side, normal, z },
+    GRAVITY_GATES.landingWidth,
+    GRAVITY_GATES.landingDepth
+  );
+
+  return crossing;
+}
+
+/**
+ * Place a teleporter pair: a safe entrance after the last platform and an exit
+ * further along the course or across in a side lane, where generation then
+ * carries on so the course stays continuous
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} level - Level the platforms are generated for
+ * @returns {Object} { entrance, exit }
+ */
+export function createTeleporterPair(scene, level) {
+  const entrance = createPlatform(false, scene, level, {
+    safe: true,
+    challengeType: "teleporter",
+  });
+  const { width, depth, gravityDirection } = entrance.userData;
+
+  // A long jump down the same lane, or a short hop across to a side lane
+  const toSideLane = randomFloat() < TELEPORTERS.sideLaneChance;
+  const gap = toSideLane
+    ? TELEPORTERS.minSideJump +
+      randomFloat() * (TELEPORTERS.maxSideJump - TELEPORTERS.minSideJump)
+    : TELEPORTERS.minForwardJump +
+      randomFloat() * (TELEPORTERS.maxForwardJump - TELEPORTERS.minForwardJump);
+  const sideShift = toSideLane
+    ? (randomFloat() < 0.5 ? -1 : 1) * TELEPORTERS.sideLaneOffset
+    : 0;
+
+  // Same size and height as the entrance, so the ball lands where it was
+  const side = lastPlatformPosition.x + sideShift;
+  const normal = lastPlatformPosition.y;
+  const z = lastPlatformPosition.z - depth - gap;
+  const exit = buildPlatform(
+    {
+      side,
+      normal,
+      z,
+      width,
+      depth,
+      challengeType: "teleporterExit",
+      gravityDirection,
+      laneType: lastPlatformType,
+    },
+    scene
+  );
+
+  entrance.userData.teleportTo = exit;
+  exit.userData.awaitingTeleport = true;
+  addTeleporterIndicators(entrance, exit, scene);
+
+  // Lanes follow the exit across
+  laneCentre += sideShift;
+  lastPlatformPosition = { x: side, y: normal, z };
+  lastPlatformShape = describePlacement({ side, normal, z }, width, depth);
+
+  return { entrance, exit };
+}
+
+/**
+ * Make every used teleporter still on the course usable again, for a ball
+ * respawned behind them
+ */
+export function rearmTeleporters() {
+  platforms.forEach((platform) => {
+    const exit = platform.userData.teleportTo;
+    if (!exit || !platform.userData.teleportUsed || !exit.parent) return;
+    platform.userData.teleportUsed = false;
+    exit.userData.awaitingTeleport = true;
+  });
+}
+
+/**
+ * Mark a teleporter pair with a glowing ring on each platform and an arc
+ * between them
+ * @param {THREE.Mesh} entrance - Entrance platform
+ * @param {THREE.Mesh} exit - Exit platform
+ * @param {THREE.Scene} scene - The scene
+ */
+function addTeleporterIndicators(entrance, exit, scene) {
+  const normal = new THREE.Vector3().copy(entrance.userData.supportNormal);
+  const ringGeometry = getSharedGeometry(
+    "teleporter-ring",
+    () => new THREE.TorusGeometry(3, 0.25, 8, 32)
+  );
+  // Tori stand across their z axis; lay them flat on the platform top
+  const layFlat = new THREE.Quaternion().setFromAxisAngle(
+    new THREE.Vector3(1, 0, 0),
+    Math.PI / 2
+  );
+
+  [entrance, exit].forEach((platform) => {
+    const color = PLATFORM_COLORS[platform.userData.challengeType];
+    const ring = new THREE.Mesh(
+      ringGeometry,
+      getPlatformMaterial(color, { emissive: color, emissiveIntensity: 0.8 })
+    );
+    ring.position.copy(platform.position).addScaledVector(normal, 0.6);
+    ring.quaternion.copy(platform.quaternion).multiply(layFlat);
+    scene.add(ring);
+    platform.userData.indicators = [ring];
+  });
+
+  // Arc from the entrance up and over to the exit
+  const curve = new THREE.QuadraticBezierCurve3(
+    entrance.position.clone().addScaledVector(normal, 0.6),
+    entrance.position
+      .clone()
+      .lerp(exit.position, 0.5)
+      .addScaledVector(normal, TELEPORTERS.linkHeight),
+    exit.position.clone().addScaledVector(normal, 0.6)
+  );
+  const link = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(curve.getPoints(24)),
+    getSharedMaterial(
+      "teleporter-link",
+      () =>
+        new THREE.LineBasicMaterial({
+          color: PLATFORM_COLORS.teleporter,
+          transparent: true,
+          opacity: 0.6,
+        })
+    )
+  );
+  scene.add(link);
+  entrance.userData.indicators.push(link);
 }
 
 /**
@@ -951,143 +1872,227 @@ export function getLastPlatformState() {
 }
 
 /**
- * Add visual indicators to show the platform's movement path
- * @param {THREE.Mesh} platform - The platform
- * @param {THREE.Scene} scene - The scene
+ * Get how far a moving platform is from its original position at a point in
+ * its cycle, in its own frame so it moves the same way under any gravity
+ * @param {Object} userData - The platform's userData
+ * @param {number} progress - Point in the movement cycle (radians, or seconds on a path)
+ * @returns {Object} { side, normal, z } offsets along the platform's axes
  */
-function addMovementIndicator(platform, scene) {
-  const indicatorSize = PLATFORM_MOVEMENT.indicatorSize;
-  const indicatorMaterial = new THREE.MeshBasicMaterial({
-    color: 0xffffff,
-    transparent: true,
-    opacity: 0.3,
-  });
-
-  // Initialize indicators array if it doesn't exist
-  platform.userData.indicators = [];
+function getMovementOffset(userData, progress) {
+  const offset = { side: 0, normal: 0, z: 0 };
 
-  // Create different indicators based on movement type
-  switch (platform.userData.movementType) {
+  switch (userData.movementType) {
     case "horizontal":
-      // Create a line of small spheres
-      for (let i = -1; i <= 1; i += 0.2) {
-        const sphere = new THREE.Mesh(
-          new THREE.SphereGeometry(indicatorSize, 8, 8),
-          indicatorMaterial
-        );
-        const x =
-          platform.userData.originalPosition.x +
-          i * platform.userData.movementRange;
-        sphere.position.set(x, platform.position.y, platform.position.z);
-        scene.add(sphere);
-        platform.userData.indicators.push(sphere);
-      }
+      offset.side = Math.sin(progress) * userData.movementRange;
       break;
 
     case "vertical":
-      // Create a line of small spheres
-      for (let i = -1; i <= 1; i += 0.2) {
-        const sphere = new THREE.Mesh(
-          new THREE.SphereGeometry(indicatorSize, 8, 8),
-          indicatorMaterial
-        );
-        const y =
-          platform.userData.originalPosition.y +
-          i * platform.userData.movementRange;
-        sphere.position.set(platform.position.x, y, platform.position.z);
-        scene.add(sphere);
-        platform.userData.indicators.push(sphere);
-      }
+      offset.normal = Math.sin(progress) * userData.movementRange;
       break;
 
     case "diagonal":
-      // Create a line of small spheres
-      for (let i = -1; i <= 1; i += 0.2) {
-        const sphere = new THREE.Mesh(
-          new THREE.SphereGeometry(indicatorSize, 8, 8),
-          indicatorMaterial
-        );
-        const x =
-          platform.userData.originalPosition.x +
-          i *
-          platform.userData.movementRange.x *
-          platform.userData.diagonalDirection;
-        const y =
-          platform.userData.originalPosition.y +
-          i * platform.userData.movementRange.y;
-        sphere.position.set(x, y, platform.position.z);
-        scene.add(sphere);
-        platform.userData.indicators.push(sphere);
-      }
+      offset.side =
+        Math.sin(progress) *
+        userData.movementRange.x *
+        userData.diagonalDirection;
+      offset.normal = Math.sin(progress) * userData.movementRange.y;
       break;
 
     case "orbital":
-      // Create a circle of small spheres
-      for (let i = 0; i < Math.PI * 2; i += Math.PI / 12) {
-        const sphere = new THREE.Mesh(
-          new THREE.SphereGeometry(indicatorSize, 8, 8),
-          indicatorMaterial
-        );
-        const x =
-          platform.userData.originalPosition.x +
-          Math.cos(i) * platform.userData.orbitalRadius;
-        const z =
-          platform.userData.originalPosition.z +
-          Math.sin(i) * platform.userData.orbitalRadius;
-        sphere.position.set(x, platform.position.y, z);
-        scene.add(sphere);
-        platform.userData.indicators.push(sphere);
-      }
+      offset.side = Math.cos(progress) * userData.orbitalRadius;
+      offset.z = Math.sin(progress) * userData.orbitalRadius;
       break;
 
     case "figure8":
-      // Create a figure-8 of small spheres
-      for (let i = 0; i < Math.PI * 2; i += Math.PI / 12) {
-        const sphere = new THREE.Mesh(
-          new THREE.SphereGeometry(indicatorSize, 8, 8),
-          indicatorMaterial
-        );
-        const x =
-          platform.userData.originalPosition.x +
-          Math.sin(i) * platform.userData.figure8Scale.x;
-        const y =
-          platform.userData.originalPosition.y +
-          (Math.sin(i * 2) * platform.userData.figure8Scale.y) / 2;
-        sphere.position.set(x, y, platform.position.z);
-        scene.add(sphere);
-        platform.userData.indicators.push(sphere);
+      // Figure-8 pattern using parametric equation
+      offset.side = Math.sin(progress) * userData.figure8Scale.x;
+      offset.normal = (Math.sin(progress * 2) * userData.figure8Scale.y) / 2;
+      break;
+
+    case "pendulum":
+      // Pendulum movement with natural acceleration/deceleration
+      if (userData.pendulumAxis === "x") {
+        offset.side = Math.sin(progress) * userData.pendulumLength;
+      } else {
+        offset.normal = Math.sin(progress) * userData.pendulumLength;
       }
       break;
 
+    case "path":
+      Object.assign(offset, getPathOffset(userData.path, progress));
+      break;
+  }
+
+  return offset;
+}
+
+/**
+ * Get how far a platform's movement can carry it from where it was placed
+ * @param {string|null} movementType - One of PLATFORM_MOVEMENT.types, or null
+ * @param {Object|null} path - Waypoint path for the "path" movement type
+ * @returns {Object} { side, normal, z } largest offset along each axis
+ */
+function getMovementSway(movementType, path = null) {
+  const sway = { side: 0, normal: 0, z: 0 };
+
+  switch (movementType) {
+    case "horizontal":
+      sway.side = PLATFORM_MOVEMENT.horizontalRange;
+      break;
+
+    case "vertical":
+      sway.normal = PLATFORM_MOVEMENT.verticalRange;
+      break;
+
+    case "diagonal":
+      sway.side = PLATFORM_MOVEMENT.diagonalRange;
+      sway.normal = PLATFORM_MOVEMENT.diagonalRange;
+      break;
+
+    case "orbital":
+      sway.side = PLATFORM_MOVEMENT.orbitalRadius;
+      sway.z = PLATFORM_MOVEMENT.orbitalRadius;
+      break;
+
+    case "figure8":
+      sway.side = PLATFORM_MOVEMENT.figure8Scale.x;
+      sway.normal = PLATFORM_MOVEMENT.figure8Scale.y / 2;
+      break;
+
+    case "pendulum":
+      // The swing axis is picked when the platform is built, so allow either
+      sway.side = PLATFORM_MOVEMENT.pendulumLength;
+      sway.normal = PLATFORM_MOVEMENT.pendulumLength;
+      break;
+
+    case "path":
+      samplePath(
+        preparePath(path || PLATFORM_MOVEMENT.path.defaultPath),
+        PLATFORM_MOVEMENT.pathIndicatorSpacing
+      ).forEach((point) => {
+        sway.side = Math.max(sway.side, Math.abs(point.side));
+        sway.normal = Math.max(sway.normal, Math.abs(point.normal));
+        sway.z = Math.max(sway.z, Math.abs(point.z));
+      });
+      break;
+  }
+
+  return sway;
+}
+
+/**
+ * Place an object at a moving platform's original position plus an offset
+ * @param {THREE.Object3D} object - The object to place
+ * @param {Object} userData - The platform's userData
+ * @param {Object} offset - { side, normal, z } from getMovementOffset
+ */
+function placeAtMovementOffset(object, userData, offset) {
+  const { originalPosition, sideAxis, supportNormal } = userData;
+  object.position.set(
+    originalPosition.x,
+    originalPosition.y,
+    originalPosition.z + offset.z
+  );
+  addScaledAxis(object.position, sideAxis, offset.side);
+  addScaledAxis(object.position, supportNormal, offset.normal);
+}
+
+/**
+ * Add an indicator showing the platform's movement path
+ * The dots are one instanced mesh placed in the platform's gravity frame, so
+ * the path reads the same under any gravity
+ * @param {THREE.Mesh} platform - The platform
+ * @param {THREE.Scene} scene - The scene
+ */
+function addMovementIndicator(platform, scene) {
+  const indicatorSize = PLATFORM_MOVEMENT.indicatorSize;
+  const indicatorGeometry = getSharedGeometry(
+    `indicator:${indicatorSize}`,
+    () => new THREE.SphereGeometry(indicatorSize, 8, 8)
+  );
+
+  // Points in the movement cycle to mark
+  const samples = [];
+  switch (platform.userData.movementType) {
+    case "horizontal":
+    case "vertical":
+    case "diagonal":
+      // A line of small spheres, evenly spaced along the swing
+      for (let i = -1; i <= 1; i += 0.2) samples.push(Math.asin(i));
+      break;
+
+    case "orbital":
+    case "figure8":
+      // A full loop of small spheres
+      for (let i = 0; i < Math.PI * 2; i += Math.PI / 12) samples.push(i);
+      break;
+
     case "pendulum":
-      // Create a pendulum arc of small spheres
-      const axis = platform.userData.pendulumAxis;
+      // An arc of small spheres
       for (let i = -Math.PI / 2; i <= Math.PI / 2; i += Math.PI / 12) {
-        const sphere = new THREE.Mesh(
-          new THREE.SphereGeometry(indicatorSize, 8, 8),
-          indicatorMaterial
-        );
-        if (axis === "x") {
-          const x =
-            platform.userData.originalPosition.x +
-            Math.sin(i) * platform.userData.pendulumLength;
-          sphere.position.set(x, platform.position.y, platform.position.z);
-        } else {
-          const y =
-            platform.userData.originalPosition.y +
-            Math.sin(i) * platform.userData.pendulumLength;
-          sphere.position.set(platform.position.x, y, platform.position.z);
-        }
-        scene.add(sphere);
-        platform.userData.indicators.push(sphere);
+        samples.push(i);
       }
       break;
   }
+
+  // Waypoint paths are marked along the spline itself, pauses and easing aside
+  const offsets =
+    platform.userData.movementType === "path"
+      ? samplePath(platform.userData.path, PLATFORM_MOVEMENT.pathIndicatorSpacing)
+      : samples.map((progress) => getMovementOffset(platform.userData, progress));
+
+  // Its own material, so it can fade without touching other platforms' dots
+  const indicator = new THREE.InstancedMesh(
+    indicatorGeometry,
+    new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: PLATFORM_MOVEMENT.indicatorOpacity,
+      depthWrite: false,
+    }),
+    offsets.length
+  );
+  const dot = new THREE.Matrix4();
+  offsets.forEach((offset, index) => {
+    indicator.setMatrixAt(index, dot.makeTranslation(offset.side, offset.normal, offset.z));
+  });
+
+  const { originalPosition, gravityDirection } = platform.userData;
+  indicator.position.set(originalPosition.x, originalPosition.y, originalPosition.z);
+  indicator.quaternion.copy(getGravityConfig(gravityDirection).rotation);
+  // Culling would only look at the first dot's bounds
+  indicator.frustumCulled = false;
+  indicator.userData.fadesWithDistance = true;
+
+  scene.add(indicator);
+  platform.userData.indicators = [indicator];
+}
+
+/**
+ * Fade movement path indicators out with distance from a point
+ * @param {THREE.Vector3} viewPosition - Where distance is measured from (the ball)
+ */
+export function fadeMovementIndicators(viewPosition) {
+  const { indicatorOpacity, indicatorFadeStart, indicatorFadeEnd } = PLATFORM_MOVEMENT;
+
+  for (const platform of platforms) {
+    const indicator = platform.userData.indicators && platform.userData.indicators[0];
+    if (!indicator || !indicator.userData.fadesWithDistance) continue;
+
+    const distance = indicator.position.distanceTo(viewPosition);
+    const fade = THREE.MathUtils.clamp(
+      (indicatorFadeEnd - distance) / (indicatorFadeEnd - indicatorFadeStart),
+      0,
+      1
+    );
+    indicator.material.opacity = indicatorOpacity * fade;
+    indicator.visible = fade > 0;
+  }
 }
 
 /**
  * Update moving platforms
- * @param {number} deltaTime - Time since last frame
+ * @param {number} deltaTime - Simulated time this step
  */
 export function updateMovingPlatforms(deltaTime) {
   for (const platform of platforms) {
@@ -1103,160 +2108,36 @@ export function updateMovingPlatforms(deltaTime) {
       platform.userData.movementProgress +=
         platform.userData.movementSpeed * deltaTime * 60;
 
-      // Apply movement based on type
-      switch (platform.userData.movementType) {
-        case "horizontal":
-          platform.position.x =
-            platform.userData.originalPosition.x +
-            Math.sin(platform.userData.movementProgress) *
-            platform.userData.movementRange;
-          break;
-
-        case "vertical":
-          platform.position.y =
-            platform.userData.originalPosition.y +
-            Math.sin(platform.userData.movementProgress) *
-            platform.userData.movementRange;
-          break;
-
-        case "diagonal":
-          platform.position.x =
-            platform.userData.originalPosition.x +
-            Math.sin(platform.userData.movementProgress) *
-            platform.userData.movementRange.x *
-            platform.userData.diagonalDirection;
-          platform.position.y =
-            platform.userData.originalPosition.y +
-            Math.sin(platform.userData.movementProgress) *
-            platform.userData.movementRange.y;
-          break;
-
-        case "orbital":
-          platform.position.x =
-            platform.userData.originalPosition.x +
-            Math.cos(platform.userData.movementProgress) *
-            platform.userData.orbitalRadius;
-          platform.position.z =
-            platform.userData.originalPosition.z +
-            Math.sin(platform.userData.movementProgress) *
-            platform.userData.orbitalRadius;
-          break;
-
-        case "figure8":
-          // Figure-8 pattern using parametric equation
-          platform.position.x =
-            platform.userData.originalPosition.x +
-            Math.sin(platform.userData.movementProgress) *
-            platform.userData.figure8Scale.x;
-          platform.position.y =
-            platform.userData.originalPosition.y +
-            (Math.sin(platform.userData.movementProgress * 2) *
-              platform.userData.figure8Scale.y) /
-            2;
-          break;
-
-        case "pendulum":
-          // Pendulum movement with natural acceleration/deceleration
-          if (platform.userData.pendulumAxis === "x") {
-            platform.position.x =
-              platform.userData.originalPosition.x +
-              Math.sin(platform.userData.movementProgress) *
-              platform.userData.pendulumLength;
-          } else {
-            platform.position.y =
-              platform.userData.originalPosition.y +
-              Math.sin(platform.userData.movementProgress) *
-              platform.userData.pendulumLength;
-          }
-          break;
-      }
+      // Move along the platform's own side axis and support normal
+      placeAtMovementOffset(
+        platform,
+        platform.userData,
+        getMovementOffset(platform.userData, platform.userData.movementProgress)
+      );
+
+      // Orbital platforms move along the course, so keep the index in step
+      updatePlatformInIndex(platform);
     }
   }
 }
 
 /**
- * Get the platform the ball is currently on
- * @param {THREE.Vector3} ballPosition - The ball position
- * @param {Object} ballVelocity - The ball velocity
- * @returns {THREE.Mesh|null} The platform or null if not on a platform
+ * Scroll conveyor belts at the speed they carry the ball
+ * @param {number} deltaTime - Simulated time this step
  */
-export function getCurrentPlatform(ballPosition, ballVelocity) {
-  // Ball radius for more accurate collision detection
-  const ballRadius = 1.0;
-
+export function updateConveyors(deltaTime) {
   for (const platform of platforms) {
-    if ((platform.userData.gravityDirection || "down") !== activeGravityDirection) {
-      continue;
-    }
-    let collisionDetected = false;
-    const platformGravityConfig = getGravityConfig(
-      platform.userData.gravityDirection || "down"
-    );
-    const ballNormalPosition = getPositionAlong(
-      ballPosition,
-      platformGravityConfig.normal
-    );
-    const ballSidePosition = getPositionAlong(
-      ballPosition,
-      platformGravityConfig.side
-    );
-    const platformNormalPosition = getPositionAlong(
-      platform.position,
-      platformGravityConfig.normal
-    );
-    const platformSidePosition = getPositionAlong(
-      platform.position,
-      platformGravityConfig.side
-    );
-    const gravityVelocity = getPositionAlong(
-      ballVelocity,
-      platformGravityConfig.gravity
-    );
-
-    // Check collision based on platform shape
-    if (platform.userData.isRoundPlatform) {
-      // For round platforms, use distance-based collision detection
-      const dx = ballSidePosition - platformSidePosition;
-      const dz = ballPosition.z - platform.position.z;
-      const distanceSquared = dx * dx + dz * dz;
-      const platformRadius = platform.userData.radius;
-      const platformSurface = platformNormalPosition + 0.5;
-
-      // Check if the ball is within the platform's radius and at the right height
-      if (
-        distanceSquared <= platformRadius * 0.9 * (platformRadius * 0.9) &&
-        Math.abs(ballNormalPosition - ballRadius - platformSurface) <= 0.5 &&
-        gravityVelocity >= 0 // Only count as collision when falling or stationary
-      ) {
-        collisionDetected = true;
-      }
+    const { conveyor, beltTexture } = platform.userData;
+    if (!conveyor || !beltTexture) continue;
+
+    // The repeat already points the chevrons the way the belt runs, so
+    // scrolling back through the texture moves them forward
+    const scroll =
+      (Math.abs(conveyor.speed) * deltaTime * 60) / CONVEYORS.stripeSpacing;
+    if (conveyor.axis === "side") {
+      beltTexture.offset.x = (beltTexture.offset.x - scroll) % 1;
     } else {
-      // For rectangular platforms, use the existing box collision detection
-      const platformBounds = {
-        minSide: platformSidePosition - platform.userData.width / 2,
-        maxSide: platformSidePosition + platform.userData.width / 2,
-        minZ: platform.position.z - platform.userData.depth / 2,
-        maxZ: platform.position.z + platform.userData.depth / 2,
-        surface: platformNormalPosition + 0.5, // Supported face
-      };
-
-      // Improved collision detection that accounts for the ball's radius
-      if (
-        ballSidePosition + ballRadius * 0.8 >= platformBounds.minSide &&
-        ballSidePosition - ballRadius * 0.8 <= platformBounds.maxSide &&
-        ballPosition.z + ballRadius * 0.8 >= platformBounds.minZ &&
-        ballPosition.z - ballRadius * 0.8 <= platformBounds.maxZ &&
-        Math.abs(ballNormalPosition - ballRadius - platformBounds.surface) <=
-        0.5 &&
-        gravityVelocity >= 0 // Only count as collision when falling or stationary
-      ) {
-        collisionDetected = true;
-      }
-    }
-
-    if (collisionDetected) {
-      return platform; // Return the platform object itself
+      beltTexture.offset.y = (beltTexture.offset.y - scroll) % 1;
     }
   }
-  return null; // No platform found
 }
@@ -5,7 +5,15 @@
 
 import THREE from "../utils/three-wrapper.js";
 import { MATERIALS } from "../config.js";
-import { addScaledAxis, getGravityConfig } from "../systems/gravity.js";
+import {
+  addScaledAxis,
+  getGravityConfig,
+  getPositionAlong,
+  setPositionAlong,
+} from "../systems/gravity.js";
+import { randomFloat } from "../utils/rng.js";
+import { getGameTime } from "../systems/scheduler.js";
+import { getLevelRules } from "../systems/level-rules.js";
 
 // Power-up collection
 let powerUps = [];
@@ -17,9 +25,10 @@ let powerUps = [];
  * @param {number} y - Y position
  * @param {number} z - Z position
  * @param {THREE.Scene} scene - The scene to add the power-up to
+ * @param {string} gravityDirection - Gravity direction it floats against
  * @returns {THREE.Mesh} The power-up object
  */
-export function createPowerUp(type, x, y, z, scene) {
+export function createPowerUp(type, x, y, z, scene, gravityDirection = "down") {
   // Create a floating triangle (tetrahedron) for the power-up
   let size = 1.4; // Base size for tetrahedron
   if (type === "SOS") {
@@ -48,6 +57,7 @@ export function createPowerUp(type, x, y, z, scene) {
 
   const powerUp = new THREE.Mesh(geometry, material);
   powerUp.position.set(x, y, z);
+  const floatAxis = getGravityConfig(gravityDirection).normal;
 
   // Initialize userData with common properties
   powerUp.userData = {
@@ -55,8 +65,9 @@ export function createPowerUp(type, x, y, z, scene) {
     rotationSpeed: 0.02,
     floatSpeed: 0.01,
     floatAmplitude: type === "SOS" ? 0.8 : 0.5, // Increased float amplitude for claw powerups
-    originalY: y,
-    floatOffset: Math.random() * Math.PI * 2, // Random starting phase
+    floatAxis: floatAxis, // Bobs along the support normal
+    floatBase: getPositionAlong(powerUp.position, floatAxis),
+    floatOffset: randomFloat("spawn") * Math.PI * 2, // Random starting phase
     // Add pulse effect for claw powerups
     pulseSpeed: type === "SOS" ? 0.1 : 0,
     pulseTime: 0,
@@ -93,15 +104,19 @@ export function spawnPowerUps(platforms, scene, level = 1, forcedType = null) {
   if (powerUps.length < maxPowerUps && platforms.length > 0) {
     // Find a random platform
     const randomPlatform =
-      platforms[Math.floor(Math.random() * platforms.length)];
+      platforms[Math.floor(randomFloat("spawn") * platforms.length)];
 
     if (randomPlatform) {
       const gravityConfig = getGravityConfig(
         randomPlatform.userData.gravityDirection || "down"
       );
       const position = randomPlatform.position.clone();
-      addScaledAxis(position, gravityConfig.side, Math.random() * 4 - 2);
-      addScaledAxis(position, gravityConfig.normal, 1.5 + Math.random() * 1.5);
+      addScaledAxis(position, gravityConfig.side, randomFloat("spawn") * 4 - 2);
+      addScaledAxis(
+        position,
+        gravityConfig.normal,
+        1.5 + randomFloat("spawn") * 1.5
+      );
       const x = position.x;
       const y = position.y;
       const z = position.z;
@@ -112,18 +127,28 @@ export function spawnPowerUps(platforms, scene, level = 1, forcedType = null) {
         // Use the forced type if provided
         type = forcedType;
       } else {
-        // Slightly increased chance for claw powerups (40% instead of 33%)
-        const rand = Math.random();
-        if (rand < 0.3) {
-          type = "extraJump";
-        } else if (rand < 0.6) {
-          type = "jetpack";
-        } else {
-          type = "SOS"; // Claw powerup (40% chance)
+        // Pick by the level's power-up mix
+        const mix = Object.entries(getLevelRules(level).powerUps.mix);
+        const totalWeight = mix.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = randomFloat("spawn") * totalWeight;
+        type = mix[mix.length - 1][0];
+        for (const [mixType, weight] of mix) {
+          roll -= weight;
+          if (roll < 0) {
+            type = mixType;
+            break;
+          }
         }
       }
 
-      createPowerUp(type, x, y, z, scene);
+      createPowerUp(
+        type,
+        x,
+        y,
+        z,
+        scene,
+        randomPlatform.userData.gravityDirection || "down"
+      );
     }
   }
 }
@@ -200,7 +225,7 @@ export function checkPowerUpCollisions(
 
 /**
  * Update power-ups (rotation, floating, and attraction animation)
- * @param {number} deltaTime - Time since last frame
+ * @param {number} deltaTime - Simulated time this step
  * @param {THREE.Vector3} ballPosition - The current position of the player's ball
  */
 export function updatePowerUps(deltaTime, ballPosition) {
@@ -214,12 +239,14 @@ export function updatePowerUps(deltaTime, ballPosition) {
     powerUp.rotation.y += powerUp.userData.rotationSpeed * 1.5;
 
     // Floating animation
-    const floatOffset =
-      performance.now() * 0.001 + powerUp.userData.floatOffset;
-    powerUp.position.y =
-      powerUp.userData.originalY +
-      Math.sin(floatOffset * powerUp.userData.floatSpeed * 5) *
-        powerUp.userData.floatAmplitude;
+    const floatOffset = getGameTime() + powerUp.userData.floatOffset;
+    setPositionAlong(
+      powerUp.position,
+      powerUp.userData.floatAxis,
+      powerUp.userData.floatBase +
+        Math.sin(floatOffset * powerUp.userData.floatSpeed * 5) *
+          powerUp.userData.floatAmplitude
+    );
 
     // Attraction Mechanic
     powerUp.userData.velocity =
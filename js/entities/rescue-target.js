@@ -4,6 +4,13 @@
  */
 
 import THREE from "../utils/three-wrapper.js";
+import { randomFloat } from "../utils/rng.js";
+import {
+  addScaledAxis,
+  getGravityConfig,
+  getPositionAlong,
+  setPositionAlong,
+} from "../systems/gravity.js";
 
 let targets = [];
 let rescuedCount = 0;
@@ -41,7 +48,7 @@ export function spawnRescueTargets(platforms, scene, ballPosition, level) {
 
   if (!candidates.length) return;
 
-  const platform = candidates[Math.floor(Math.random() * candidates.length)];
+  const platform = candidates[Math.floor(randomFloat("spawn") * candidates.length)];
   const target = createRescueTarget(platform);
 
   scene.add(target);
@@ -49,8 +56,28 @@ export function spawnRescueTargets(platforms, scene, ballPosition, level) {
   lastSpawnZ = ballPosition.z;
 }
 
+// Targets hover above the platform along its support normal
 function createRescueTarget(platform) {
+  const gravityDirection = platform.userData.gravityDirection || "down";
+  const gravityConfig = getGravityConfig(gravityDirection);
+  const position = platform.position.clone();
+  addScaledAxis(position, gravityConfig.side, randomFloat("spawn") * 2 - 1);
+  addScaledAxis(position, gravityConfig.normal, 2.8);
+
+  return buildRescueTarget(position, platform.userData.id, gravityDirection);
+}
+
+// Hand-authored levels put targets at fixed world positions
+export function placeRescueTarget(position, scene, gravityDirection = "down") {
+  const target = buildRescueTarget(position, null, gravityDirection);
+  scene.add(target);
+  targets.push(target);
+  return target;
+}
+
+function buildRescueTarget(position, platformId, gravityDirection) {
   const group = new THREE.Group();
+  const floatAxis = getGravityConfig(gravityDirection).normal;
 
   const body = new THREE.Mesh(
     new THREE.SphereGeometry(0.75, 16, 16),
@@ -71,20 +98,18 @@ function createRescueTarget(platform) {
       opacity: 0.7,
     })
   );
-  beacon.rotation.x = Math.PI / 2;
+  // Ring lies flat on the platform
+  beacon.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), floatAxis);
   group.add(beacon);
 
-  group.position.set(
-    platform.position.x + (Math.random() * 2 - 1),
-    platform.position.y + 2.8,
-    platform.position.z
-  );
+  group.position.set(position.x, position.y, position.z);
 
   group.userData = {
     id: nextTargetId++,
-    platformId: platform.userData.id,
-    originalY: group.position.y,
-    spin: Math.random() * Math.PI * 2,
+    platformId,
+    floatAxis,
+    floatBase: getPositionAlong(group.position, floatAxis),
+    spin: randomFloat("spawn") * Math.PI * 2,
   };
 
   return group;
@@ -93,9 +118,12 @@ function createRescueTarget(platform) {
 export function updateRescueTargets(deltaTime, ballPosition) {
   for (const target of targets) {
     target.userData.spin += deltaTime * 3;
-    target.rotation.y += deltaTime * 2;
-    target.position.y =
-      target.userData.originalY + Math.sin(target.userData.spin) * 0.45;
+    target.rotateOnAxis(target.userData.floatAxis, deltaTime * 2);
+    setPositionAlong(
+      target.position,
+      target.userData.floatAxis,
+      target.userData.floatBase + Math.sin(target.userData.spin) * 0.45
+    );
 
     const beacon = target.children[1];
     if (beacon) {
@@ -4,7 +4,25 @@
  */
 
 import THREE from "./utils/three-wrapper.js";
-import { GAME_SETTINGS, BACKGROUND_COLORS } from "./config.js";
+import {
+  GAME_SETTINGS,
+  BACKGROUND_COLORS,
+  ELEMENT_IDS,
+  SIMULATION,
+  TELEPORTERS,
+  MOMENTUM_TRANSFER,
+  CRUMBLING,
+  HAZARDS,
+  CHECKPOINTS,
+} from "./config.js";
+import { showElement, hideElement } from "./utils/helpers.js";
+import {
+  setRunSeed,
+  getRunSeed,
+  generateSeed,
+  normalizeSeed,
+  randomFloat,
+} from "./utils/rng.js";
 import {
   createBall,
   resetBallState,
@@ -13,6 +31,10 @@ import {
   setBallGravityDirection,
   getExtraJumps,
   addExtraJumps,
+  syncPreviousBallPosition,
+  getPreviousBallPosition,
+  takeSlingshotDistance,
+  respawnBall,
 } from "./entities/ball.js";
 import {
   initAbilities,
@@ -45,14 +67,28 @@ import {
   getLastPlatformState,
   createPlatform,
   updateMovingPlatforms,
+  updateConveyors,
+  fadeMovementIndicators,
   setPlatformGravityDirection,
+  setGenerationSpeed,
+  getGenerationGravityDirection,
+  rearmTeleporters,
 } from "./entities/platform.js";
+import {
+  updateGravityGates,
+  checkGravityGateCrossing,
+  cleanupGravityGates,
+  resetGravityGates,
+  rearmGravityGates,
+} from "./entities/gravity-gate.js";
+import { reportReachability } from "./systems/reachability.js";
 import { updateFlag, resetFlag } from "./entities/flag.js";
 import {
   spawnPowerUps,
   updatePowerUps,
   cleanupPowerUps,
   resetPowerUps,
+  getPowerUps,
 } from "./entities/powerup.js";
 import {
   spawnRescueTargets,
@@ -63,16 +99,74 @@ import {
   getRescuedCount,
 } from "./entities/rescue-target.js";
 import {
-  isOnPlatform,
+  getPlatformContact,
   handlePlatformCollisions,
   handlePowerUpCollisions,
   checkFallOutOfBounds,
+  getFallDepth,
 } from "./systems/collision.js";
 import {
   getGravityConfig,
   getPositionAlong,
 } from "./systems/gravity.js";
-import { updateDifficulty } from "./systems/levels.js";
+import {
+  updateDifficulty,
+  placeLevelLayout,
+  trySpliceSetPiece,
+  trySpliceGravityGate,
+  trySpliceTeleporter,
+  resetSetPieces,
+} from "./systems/levels.js";
+import {
+  getLevelRules,
+  getLevelPlatformCount,
+  getLevelTheme,
+} from "./systems/level-rules.js";
+import {
+  preloadLevelFiles,
+  getLevelData,
+  setCustomLevel,
+} from "./systems/level-files.js";
+import {
+  initEditor,
+  openEditor,
+  closeEditor,
+  isEditorActive,
+  updateEditor,
+} from "./systems/editor.js";
+import {
+  consumeFrameTime,
+  beginStep,
+  drawInterpolated,
+  skipInterpolation,
+  resetTimestep,
+} from "./systems/timestep.js";
+import {
+  scheduleAfter,
+  advanceGameTime,
+  resetScheduler,
+} from "./systems/scheduler.js";
+import {
+  updateCrumblingPlatforms,
+  resetCrumbling,
+  restoreCollapsedPlatforms,
+} from "./systems/crumbling.js";
+import {
+  getActiveCheckpoint,
+  getRespawnPosition,
+  getCleanupPosition,
+  resetCheckpoints,
+} from "./systems/checkpoints.js";
+import { updateHazards, resetHazards } from "./systems/hazards.js";
+import {
+  recordLanding,
+  recordDeath,
+  recordSOSUse,
+  updateDirector,
+  getDifficulty,
+  resetDirector,
+} from "./systems/director.js";
+import { unlockAudio } from "./systems/audio.js";
 import {
   initControls,
   getKeys,
@@ -97,6 +191,7 @@ import {
   updateCombo,
   updateMode,
   updateRescueCount,
+  updateLives,
   setRescueHUDVisible,
   showGameOver,
   hideGameOver,
@@ -105,8 +200,13 @@ import {
   updateBackgroundColor,
   resetUI,
   updateSOSCounter,
+  updateSeedInput,
+  getSeedInputValue,
 } from "./systems/ui.js";
 
+// Camera field of view (degrees)
+const CAMERA_FOV = 75;
+
 // Game variables
 let scene, camera, renderer, directionalLight;
 let score = 0;
@@ -117,6 +217,7 @@ let bestCombo = 0;
 let lastLandingPlatformId = null;
 let lastLandingWasTrampoline = false;
 let level = 1;
+let lives = CHECKPOINTS.lives;
 let speed = GAME_SETTINGS.initialSpeed;
 let gameOver = false;
 let gameStarted = false;
@@ -126,19 +227,30 @@ let jetpackFuel = 0;
 let isJetpackActive = false;
 let currentBackgroundColor = 0;
 let clock = new THREE.Clock();
-let deltaTime;
 let distanceTraveled = 0;
 let levelTransitionEffect = null;
+let levelBanner = null; // "LEVEL n" text shown during a level transition
 let isTransitioning = false;
 let isGeneratingNextLevel = false; // Flag to track if we're generating platforms for the next level
 let isPaused = false; // Flag to track if the game is paused for grab aiming
 let cameraLookTarget = new THREE.Vector3(0, 0, 0); // Smooth camera target
+let teleportWarp = 0; // Time left in the camera warp after a teleport (seconds)
 let activeGravityDirection = "down";
+let urlSeed = null; // Seed shared through a ?seed= link, reused on every restart
+let pendingSeed = null; // Seed for the next restart (typed in or retried)
 
 /**
  * Initialize the game
  */
 function init() {
+  // Seed the course before anything is generated so the preview matches the run
+  urlSeed = normalizeSeed(new URLSearchParams(window.location.search).get("seed"));
+  setRunSeed(urlSeed || generateSeed());
+  updateSeedInput(getRunSeed());
+
+  // Fetch hand-authored levels and set-pieces in the background
+  preloadLevelFiles();
+
   // Create scene
   scene = new THREE.Scene();
   scene.background = new THREE.Color(BACKGROUND_COLORS[currentBackgroundColor]);
@@ -152,7 +264,7 @@ function init() {
 
   // Create camera
   camera = new THREE.PerspectiveCamera(
-    75,
+    CAMERA_FOV,
     window.innerWidth / window.innerHeight,
     0.1,
     1000
@@ -224,8 +336,9 @@ function init() {
   // Add event listeners
   window.addEventListener("resize", onWindowResize);
 
-  // Add keyboard event listeners
+  // Add keyboard event listeners (the editor handles its own keys)
   document.addEventListener("keydown", (event) =>
+    !isEditorActive() &&
     onKeyDown(
       event,
       restartGame,
@@ -284,6 +397,21 @@ function init() {
     ); // Use passive: false to allow stopPropagation
   }
 
+  const retrySeedButton = document.getElementById("retry-seed-button");
+  if (retrySeedButton) {
+    retrySeedButton.addEventListener("click", () => {
+      pendingSeed = getRunSeed();
+      restartGame();
+    });
+  }
+
+  const seedRandomButton = document.getElementById("seed-random");
+  if (seedRandomButton) {
+    seedRandomButton.addEventListener("click", () =>
+      updateSeedInput(generateSeed())
+    );
+  }
+
   const classicModeButton = document.getElementById("mode-classic");
   const rescueModeButton = document.getElementById("mode-rescue");
   const buttonControlButton = document.getElementById("control-buttons");
@@ -309,6 +437,46 @@ function init() {
     );
   }
 
+  // Level editor: play-tests run as level 1 until the editor is closed
+  initEditor(scene, camera, renderer.domElement, {
+    onPlayTest: (course) => {
+      // Practice runs bring crumbled platforms back unless the course says otherwise
+      setCustomLevel({
+        ...course,
+        crumbling: {
+          respawnDelay: CRUMBLING.practiceRespawnDelay,
+          ...course.crumbling,
+        },
+      });
+      closeEditor();
+      showElement(ELEMENT_IDS.editorReturn);
+      restartGame();
+    },
+    onExit: () => {
+      closeEditor();
+      setCustomLevel(null);
+      restartGame();
+      showStartModal();
+    },
+  });
+
+  const editorButton = document.getElementById(ELEMENT_IDS.editorButton);
+  if (editorButton) {
+    editorButton.addEventListener("click", () => {
+      hideStartModal();
+      startEditing();
+    });
+  }
+
+  const editorReturnButton = document.getElementById(ELEMENT_IDS.editorReturn);
+  if (editorReturnButton) {
+    editorReturnButton.addEventListener("click", () => {
+      hideElement(ELEMENT_IDS.editorReturn);
+      hideGameOver();
+      startEditing();
+    });
+  }
+
   setGameMode(gameMode);
   setMobileControlStyle(getTouchControlStyle());
 
@@ -404,11 +572,13 @@ function addBonusPoints(basePoints) {
 
 function handleLandingScore(collisionResult) {
   if (!collisionResult.justLanded) return;
+  const slingshotDistance = takeSlingshotDistance();
   if (collisionResult.platformId === lastLandingPlatformId) return;
 
   lastLandingPlatformId = collisionResult.platformId;
   combo++;
   bestCombo = Math.max(bestCombo, combo);
+  recordLanding(combo);
 
   let landingPoints = GAME_SETTINGS.score.landingBase;
 
@@ -420,6 +590,17 @@ function handleLandingScore(collisionResult) {
     landingPoints += GAME_SETTINGS.score.movingLanding;
   }
 
+  if (collisionResult.platformType === "conveyor") {
+    landingPoints += GAME_SETTINGS.score.conveyorLanding;
+  }
+
+  // Long launches off a moving platform
+  if (slingshotDistance >= MOMENTUM_TRANSFER.slingshotDistance) {
+    landingPoints += Math.round(
+      slingshotDistance * GAME_SETTINGS.score.slingshotPerUnit
+    );
+  }
+
   if (collisionResult.isTrampoline && lastLandingWasTrampoline) {
     landingPoints += GAME_SETTINGS.score.trampolineChain;
   }
@@ -429,6 +610,92 @@ function handleLandingScore(collisionResult) {
   updateCombo(combo, bestCombo);
 }
 
+/**
+ * Apply what a hazard hit costs the player
+ * @param {string} hazard - The variant that hit
+ * @returns {boolean} Whether the hit cost a life (the step stops there)
+ */
+function handleHazardHit(hazard) {
+  switch (hazard) {
+    case "spikes":
+      if (!loseLife()) {
+        endGame();
+      }
+      return true;
+    case "electric":
+      bonusScore = Math.max(0, bonusScore - HAZARDS.variants.electric.penalty);
+      resetCombo();
+      refreshScore();
+      break;
+    case "vent":
+      resetCombo();
+      break;
+  }
+  return false;
+}
+
+/**
+ * Take a life for a fall and, if any are left, drop the ball back on the
+ * last checkpoint with the course behind it as it was
+ * @returns {boolean} Whether the run goes on
+ */
+function loseLife() {
+  lives--;
+  recordDeath();
+  updateLives(lives);
+  const respawnPosition = getRespawnPosition();
+  if (lives <= 0 || !respawnPosition) return false;
+
+  const checkpoint = getActiveCheckpoint();
+  setActiveGravityDirection(checkpoint.userData.gravityDirection || "down");
+  respawnBall(respawnPosition);
+  restoreCollapsedPlatforms();
+  rearmTeleporters();
+  rearmGravityGates(checkpoint.position.z);
+
+  speed = Math.min(speed, GAME_SETTINGS.initialSpeed * CHECKPOINTS.respawnSpeed);
+  isJetpackActive = false;
+  resetCombo();
+
+  // Cut the camera to the checkpoint rather than sweep back along the course
+  const gravityConfig = getGravityConfig(activeGravityDirection);
+  camera.position.copy(respawnPosition).add(gravityConfig.cameraOffset);
+  cameraLookTarget.copy(respawnPosition);
+  camera.up.copy(gravityConfig.cameraUp);
+  camera.lookAt(cameraLookTarget);
+  skipInterpolation(getBall());
+  skipInterpolation(camera);
+  return true;
+}
+
+/**
+ * Carry the camera along with a teleported ball and start the warp effect
+ * @param {THREE.Group} ball - The ball
+ * @param {THREE.Vector3} offset - How far the ball was moved
+ */
+function startTeleportWarp(ball, offset) {
+  camera.position.add(offset);
+  cameraLookTarget.add(offset);
+
+  // Draw the jump as a cut rather than a streak across the gap
+  skipInterpolation(ball);
+  skipInterpolation(camera);
+  teleportWarp = TELEPORTERS.cameraWarpTime;
+}
+
+/**
+ * Ease the field of view back after a teleport
+ * @param {number} deltaTime - Simulated time this step
+ */
+function updateTeleportWarp(deltaTime) {
+  if (teleportWarp <= 0) return;
+
+  teleportWarp = Math.max(0, teleportWarp - deltaTime);
+  const remaining = teleportWarp / TELEPORTERS.cameraWarpTime;
+  camera.fov = CAMERA_FOV + TELEPORTERS.cameraWarpFov * remaining * remaining;
+  camera.updateProjectionMatrix();
+}
+
 /**
  * Pause or unpause the game for grab aiming
  * @param {boolean} paused - Whether the game should be paused
@@ -443,6 +710,7 @@ function pauseGame(paused) {
       bonusScore = Math.max(0, bonusScore - GAME_SETTINGS.score.clawPenalty);
       resetCombo();
       refreshScore();
+      recordSOSUse();
     }
     clock.stop();
     console.log("Game paused for grab aiming");
@@ -462,6 +730,12 @@ function startGame() {
   // Hide the start modal
   hideStartModal();
 
+  // Browsers only allow sound once the player has clicked something
+  unlockAudio();
+
+  // Use the seed shown in the modal (typed in, from the URL, or generated)
+  pendingSeed = normalizeSeed(getSeedInputValue());
+
   // Reset game state
   restartGame();
 
@@ -477,19 +751,38 @@ function startGame() {
 // Make functions available globally
 window.startGame = startGame;
 window.restartGame = restartGame;
+// For debugging: how the difficulty director currently rates the player
+window.getDifficulty = getDifficulty;
+
+/**
+ * Stop the run and open the level editor
+ */
+function startEditing() {
+  gameOver = false;
+  gameStarted = false;
+  ballReleased = false;
+  resetPowerUps(scene);
+  resetRescueTargets(scene);
+  openEditor();
+}
 
 /**
  * End the game
  */
 function endGame() {
   gameOver = true;
-  showGameOver(score);
+  showGameOver(score, getRunSeed());
 }
 
 /**
  * Restart the game
  */
 function restartGame() {
+  // Seed the new run: a requested seed, the shared link's seed, or a fresh one
+  setRunSeed(pendingSeed || urlSeed || generateSeed());
+  pendingSeed = null;
+  updateSeedInput(getRunSeed());
+
   // Reset game variables
   score = 0;
   distanceScore = 0;
@@ -499,6 +792,7 @@ function restartGame() {
   lastLandingPlatformId = null;
   lastLandingWasTrampoline = false;
   level = 1;
+  lives = CHECKPOINTS.lives;
   speed = GAME_SETTINGS.initialSpeed;
   gameOver = false;
   gameStarted = false;
@@ -509,6 +803,20 @@ function restartGame() {
   isTransitioning = false;
   isGeneratingNextLevel = false;
   setActiveGravityDirection("down");
+  resetTimestep();
+  // Pending level transitions and effects belong to the old run
+  resetScheduler();
+  resetCrumbling();
+  resetHazards();
+  resetCheckpoints();
+  resetDirector();
+  if (levelBanner) {
+    levelBanner.remove();
+    levelBanner = null;
+  }
+  teleportWarp = 0;
+  camera.fov = CAMERA_FOV;
+  camera.updateProjectionMatrix();
 
   // Remove any existing transition effect
   if (levelTransitionEffect) {
@@ -517,7 +825,7 @@ function restartGame() {
   }
 
   // Reset background color
-  currentBackgroundColor = 0;
+  currentBackgroundColor = getLevelTheme(1);
   updateBackgroundColor(scene, currentBackgroundColor, BACKGROUND_COLORS);
 
   // Reset UI
@@ -528,26 +836,36 @@ function restartGame() {
   resetPlatforms(scene);
   resetPowerUps(scene);
   resetRescueTargets(scene);
+  resetGravityGates(scene);
   resetFlag();
   resetJetpack();
   resetClaw(scene);
   resetKeys();
   resetAbilities(scene);
 
-  // Create initial platforms with a green trampoline at the start
-  createStartingPlatforms(scene);
+  // Create initial platforms with a green trampoline at the start,
+  // followed by the level 1 file if there is one
+  resetSetPieces();
+  const openingLevel = getLevelData(1);
+  createStartingPlatforms(
+    scene,
+    openingLevel ? 0 : getLevelPlatformCount(1)
+  );
+  if (openingLevel) {
+    placeLevelLayout(openingLevel, scene, getLayoutOptions());
+  }
   updateMode(gameMode);
   setRescueHUDVisible(gameMode === "rescue");
   updateCombo(combo, bestCombo);
   updateRescueCount(0);
+  updateLives(lives);
 }
 
 /**
- * Update the game state
+ * Advance the game state by one simulation step
+ * @param {number} deltaTime - Simulated time per step (SIMULATION.step)
  */
-function update() {
-  deltaTime = clock.getDelta();
-
+function update(deltaTime) {
   // Always render the claw and ball even when game is not started
   const ball = getBall();
   const claw = getClaw();
@@ -571,6 +889,7 @@ function update() {
       if (ball && claw) {
         // Only update the Y position to prevent teleporting
         ball.position.y = claw.position.y;
+        syncPreviousBallPosition();
       }
 
       // Update touch controls for grab mode
@@ -605,6 +924,9 @@ function update() {
     return;
   }
 
+  // Timed effects only run on game time, so they hold while paused
+  advanceGameTime(deltaTime);
+
   // If the ball is still in the claw or in grab mode, update the claw position
   if (!ballReleased || isGrabbingState()) {
     updateClaw(getCombinedKeys(), null, ballReleased, isGrabbingState());
@@ -613,6 +935,7 @@ function update() {
     if (ball && claw) {
       // Only update the Y position to prevent teleporting
       ball.position.y = claw.position.y;
+      syncPreviousBallPosition();
     }
 
     // Update touch controls for grab mode
@@ -627,7 +950,7 @@ function update() {
       speed,
       isJetpackActive,
       jetpackFuel,
-      isOnPlatform,
+      getPlatformContact,
       activeGravityDirection
     );
 
@@ -686,24 +1009,71 @@ function update() {
   );
   speed = collisionResult.speed;
   handleLandingScore(collisionResult);
+  if (collisionResult.hazardHit && handleHazardHit(collisionResult.hazardHit)) {
+    return;
+  }
+
+  // Teleporters move the ball to their exit; the camera jumps along and warps
+  if (collisionResult.teleportOffset) {
+    startTeleportWarp(ball, collisionResult.teleportOffset);
+  }
+  updateTeleportWarp(deltaTime);
+
+  // Passing through a gravity gate turns gravity (the camera rolls to follow)
+  const gate = checkGravityGateCrossing(getPreviousBallPosition().z, ball.position.z);
+  if (gate) {
+    setActiveGravityDirection(gate.userData.toDirection);
+  }
+  updateGravityGates(deltaTime);
 
   // Update moving platforms
   updateMovingPlatforms(deltaTime);
+  updateConveyors(deltaTime);
+  updateCrumblingPlatforms(deltaTime);
+  updateHazards(ball.position);
+  fadeMovementIndicators(ball.position);
+
+  // Let the difficulty director see how close the ball is to falling out
+  updateDirector(
+    deltaTime,
+    teleportWarp > 0 ? null : getFallDepth(getPlatforms(), activeGravityDirection),
+    collisionResult.onPlatform
+  );
 
   // Check if the ball has fallen too far from the nearest platform
-  if (checkFallOutOfBounds(getPlatforms(), undefined, activeGravityDirection)) {
-    endGame();
+  // (not while it is still arriving from a teleporter); it goes back to the
+  // last checkpoint while there are lives left
+  if (
+    teleportWarp <= 0 &&
+    checkFallOutOfBounds(getPlatforms(), undefined, activeGravityDirection)
+  ) {
+    if (!loseLife()) {
+      endGame();
+    }
     return;
   }
 
-  // Remove platforms and power-ups that are too far behind
+  // Remove platforms and power-ups that are too far behind (never past the
+  // checkpoint the ball would respawn on)
   const removeDistance = 30;
-  cleanupPlatforms(ball.position, removeDistance, scene);
-  cleanupPowerUps(ball.position, removeDistance, scene);
-  cleanupRescueTargets(ball.position, removeDistance, scene);
+  const cleanupPosition = getCleanupPosition(ball.position);
+  cleanupPlatforms(cleanupPosition, removeDistance, scene);
+  cleanupPowerUps(cleanupPosition, removeDistance, scene);
+  cleanupRescueTargets(cleanupPosition, removeDistance, scene);
+  cleanupGravityGates(cleanupPosition, removeDistance, scene);
 
   // Add new platforms as needed
-  addPlatformsAsNeeded(scene, level, activeGravityDirection);
+  setGenerationSpeed(speed);
+  addPlatformsAsNeeded(
+    scene,
+    level,
+    getGenerationGravityDirection(),
+    0,
+    () =>
+      trySpliceGravityGate(scene, level) ||
+      trySpliceTeleporter(scene, level) ||
+      trySpliceSetPiece(scene, getLayoutOptions())
+  );
 
   if (gameMode === "rescue") {
     spawnRescueTargets(getPlatforms(), scene, ball.position, level);
@@ -719,15 +1089,16 @@ function update() {
     }
   }
 
-  // Randomly spawn power-ups
-  if (Math.random() < GAME_SETTINGS.powerUpSpawnChance) {
+  // Randomly spawn power-ups, as often as the level's rules say
+  const powerUpRules = getLevelRules(level).powerUps;
+  if (randomFloat("spawn") < powerUpRules.spawnChance) {
     spawnPowerUps(getPlatforms(), scene, level);
   }
 
   // Occasionally spawn a burst of powerups
-  if (Math.random() < GAME_SETTINGS.powerUpBurstChance) {
+  if (randomFloat("spawn") < powerUpRules.burstChance) {
     // Spawn 2-3 powerups at once
-    const burstCount = Math.random() < 0.5 ? 2 : 3;
+    const burstCount = randomFloat("spawn") < 0.5 ? 2 : 3;
     for (let i = 0; i < burstCount; i++) {
       spawnPowerUps(getPlatforms(), scene, level);
     }
@@ -735,7 +1106,7 @@ function update() {
 
   // Occasionally spawn a claw powerup specifically
   // This ensures claw powerups appear regularly
-  if (Math.random() < GAME_SETTINGS.clawPowerUpChance) {
+  if (randomFloat("spawn") < powerUpRules.sosChance) {
     spawnPowerUps(getPlatforms(), scene, level, "SOS");
   }
 
@@ -798,9 +1169,9 @@ function update() {
       addPlatformsForNextLevel(scene, level + 1);
 
       // Reset the generation flag after a delay to prevent multiple triggers
-      setTimeout(() => {
+      scheduleAfter(1, () => {
         isGeneratingNextLevel = false;
-      }, 1000);
+      });
     }
 
     // Show level transition when player reaches 100% of the distance threshold
@@ -828,17 +1199,17 @@ function update() {
       levelText.style.zIndex = "1000";
       levelText.textContent = `LEVEL ${level + 1}`;
       document.body.appendChild(levelText);
+      levelBanner = levelText;
 
       // Fade in the level text
-      setTimeout(() => {
+      scheduleAfter(0.1, () => {
         levelText.style.opacity = "1";
-      }, 100);
+      });
 
-      // Set a timeout to actually change the level after the text animation
-      setTimeout(() => {
+      // Change the level after the text animation
+      scheduleAfter(1.5, () => {
         // Update background color for the new level
-        const newColorIndex = level % BACKGROUND_COLORS.length;
-        currentBackgroundColor = newColorIndex;
+        currentBackgroundColor = getLevelTheme(level + 1);
         updateBackgroundColor(scene, currentBackgroundColor, BACKGROUND_COLORS);
 
         // Increment level
@@ -852,18 +1223,19 @@ function update() {
         levelText.style.opacity = "0";
 
         // Remove the level text after fade out
-        setTimeout(() => {
-          document.body.removeChild(levelText);
-        }, 500);
+        scheduleAfter(0.5, () => {
+          levelText.remove();
+          if (levelBanner === levelText) levelBanner = null;
+        });
 
         // Reset transition state after a delay
-        setTimeout(() => {
+        scheduleAfter(1, () => {
           isTransitioning = false;
-        }, 1000);
-      }, 1500);
+        });
+      });
     }
 
-    speed = updateDifficulty(distanceScore, speed);
+    speed = updateDifficulty(distanceScore, speed, level);
   }
 }
 
@@ -977,6 +1349,19 @@ function createLevelTransitionEffect(position) {
   animate();
 }
 
+/**
+ * Options for placing hand-authored layouts in the current run
+ * @param {number} forLevel - Level the layout is placed for
+ * @returns {Object} {gravityDirection, includeRescueTargets, level}
+ */
+function getLayoutOptions(forLevel = level) {
+  return {
+    gravityDirection: getGenerationGravityDirection(),
+    includeRescueTargets: gameMode === "rescue",
+    level: forLevel,
+  };
+}
+
 /**
  * Add platforms for the next level without removing existing ones
  * @param {THREE.Scene} scene - The scene
@@ -1004,46 +1389,58 @@ function addPlatformsForNextLevel(scene, level) {
   // Save the current platform state to restore later
   const originalState = getLastPlatformState();
 
+  // A hand-authored level is placed right after the furthest platform,
+  // in whichever gravity direction the course is generating for
+  const gravityDirection = getGenerationGravityDirection();
+  const levelData = getLevelData(level);
+
   // Set the last platform position to the furthest platform
   // This ensures new platforms will be generated from this position
   setLastPlatformState(
     {
       x: getPositionAlong(
         furthestPlatform.position,
-        getGravityConfig(activeGravityDirection).side
+        getGravityConfig(gravityDirection).side
       ),
       y: getPositionAlong(
         furthestPlatform.position,
-        getGravityConfig(activeGravityDirection).normal
+        getGravityConfig(gravityDirection).normal
       ),
-      z: furthestPlatform.position.z - 20, // Start a bit further ahead
+      z: furthestPlatform.position.z - (levelData ? 0 : 20), // Start a bit further ahead
     },
-    furthestPlatform.userData.type || "center"
+    furthestPlatform.userData.type || "center",
+    furthestPlatform
   );
 
   // Calculate how many platforms to generate based on level
-  // Higher levels have more platforms for increased difficulty
-  const platformCount =
-    GAME_SETTINGS.platformsPerLevel + Math.floor(level / 2) * 5;
-
-  // Generate new platforms for the next level
-  for (let i = 0; i < platformCount; i++) {
-    // Create platforms directly instead of using addPlatformsAsNeeded
-    // This gives us more control over the generation
-    const platform = createPlatform(false, scene, level, {
-      gravityDirection: activeGravityDirection,
-    });
-    console.log(
-      `Generated platform ${i + 1}/${platformCount} at Z: ${platform.position.z
-      }`
-    );
+  let platformCount = getLevelPlatformCount(level);
+
+  if (levelData) {
+    platformCount = placeLevelLayout(levelData, scene, getLayoutOptions(level)).length;
+  } else {
+    // Generate new platforms for the next level
+    for (let i = 0; i < platformCount; i++) {
+      if (trySpliceGravityGate(scene, level)) continue;
+      if (trySpliceTeleporter(scene, level)) continue;
+      if (trySpliceSetPiece(scene, getLayoutOptions(level))) continue;
+
+      // Create platforms directly instead of using addPlatformsAsNeeded
+      // This gives us more control over the generation
+      const platform = createPlatform(false, scene, level, {
+        gravityDirection: getGenerationGravityDirection(),
+      });
+      console.log(
+        `Generated platform ${i + 1}/${platformCount} at Z: ${platform.position.z
+        }`
+      );
+    }
   }
 
   // Generate extra platforms to ensure there's always enough ahead
   const extraPlatforms = 10;
   for (let i = 0; i < extraPlatforms; i++) {
     createPlatform(false, scene, level, {
-      gravityDirection: activeGravityDirection,
+      gravityDirection: getGenerationGravityDirection(),
     });
   }
 
@@ -1051,15 +1448,39 @@ function addPlatformsForNextLevel(scene, level) {
     `Generated ${platformCount + extraPlatforms
     } new platforms for level ${level}`
   );
+  reportReachability();
+}
+
+/**
+ * Get the objects whose movement is blended between simulation steps
+ * @returns {Array<THREE.Object3D>} Objects to draw blended
+ */
+function getInterpolatedObjects() {
+  return [getBall(), getClaw(), camera, ...getPlatforms(), ...getPowerUps()];
 }
 
 /**
  * Animation loop
+ * Runs as many fixed simulation steps as the frame's time covers, then draws
  */
 function animate() {
   requestAnimationFrame(animate);
-  update();
-  renderer.render(scene, camera);
+  const frameDelta = clock.getDelta();
+
+  // The editor owns the camera while it is open
+  if (isEditorActive()) {
+    updateEditor();
+    renderer.render(scene, camera);
+    return;
+  }
+
+  const steps = consumeFrameTime(frameDelta);
+  for (let i = 0; i < steps; i++) {
+    beginStep(getInterpolatedObjects());
+    update(SIMULATION.step);
+  }
+
+  drawInterpolated(getInterpolatedObjects(), () => renderer.render(scene, camera));
 }
 
 // Start the game
@@ -0,0 +1,71 @@
+/**
+ * Audio System
+ * Short synthesized sound cues, played through WebAudio
+ *
+ * There are no sound files: each cue is one oscillator sweeping between two
+ * pitches and fading out. Browsers only allow sound after the player has
+ * interacted with the page, so call unlockAudio from an input handler first.
+ * Without WebAudio (or with AUDIO.enabled off) every call does nothing.
+ */
+
+import { AUDIO } from "../config.js";
+
+// Created on first use
+let context = null;
+
+/**
+ * Get the audio context, creating or waking it if needed
+ * @returns {AudioContext|null} The context, or null when sound is off or unsupported
+ */
+function getContext() {
+  if (!AUDIO.enabled) return null;
+
+  if (!context) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    context = new AudioContextClass();
+  }
+  if (context.state === "suspended") context.resume();
+  return context;
+}
+
+/**
+ * Allow sound to play (call from a click, tap or key handler)
+ */
+export function unlockAudio() {
+  getContext();
+}
+
+/**
+ * Play a cue, quieter the further it is from the ball
+ * @param {Object} cue - { type, frequency, endFrequency, duration, volume }
+ *   type is an OscillatorNode type, frequencies are in Hz and duration in seconds
+ * @param {number} distance - Distance from the ball (0 for cues on the ball)
+ */
+export function playCue(cue, distance = 0) {
+  const loudness =
+    AUDIO.volume * (cue.volume ?? 1) * (1 - distance / AUDIO.hearingDistance);
+  if (loudness <= 0) return;
+
+  const audio = getContext();
+  if (!audio) return;
+
+  const start = audio.currentTime;
+  const end = start + cue.duration;
+  const oscillator = audio.createOscillator();
+  const gain = audio.createGain();
+
+  oscillator.type = cue.type || "sine";
+  oscillator.frequency.setValueAtTime(cue.frequency, start);
+  oscillator.frequency.exponentialRampToValueAtTime(
+    cue.endFrequency || cue.frequency,
+    end
+  );
+  gain.gain.setValueAtTime(loudness, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, end);
+
+  oscillator.connect(gain);
+  gain.connect(audio.destination);
+  oscillator.start(start);
+  oscillator.stop(end);
+}
@@ -0,0 +1,120 @@
+/**
+ * Checkpoints System
+ * Flags checkpoint platforms along the course and remembers the one a
+ * falling ball goes back to
+ *
+ * The generator asks for a checkpoint every CHECKPOINTS.spacing of course.
+ * Landing on one makes it the respawn point (its flag changes color), and
+ * nothing from it onwards is cleaned up, so a respawned ball finds the
+ * course just as it left it.
+ */
+
+import THREE from "../utils/three-wrapper.js";
+import { CHECKPOINTS } from "../config.js";
+import { createFlag, setFlagColor } from "../entities/flag.js";
+import { getGravityConfig, addScaledAxis } from "./gravity.js";
+
+// Course position of the last checkpoint generated
+let lastCheckpointZ = 0;
+// Checkpoint the ball would respawn on
+let activeCheckpoint = null;
+
+/**
+ * Check whether the generator owes the course a checkpoint
+ * @param {number} z - Course position of the last platform generated
+ * @returns {boolean} Whether the next platform should be a checkpoint
+ */
+export function isCheckpointDue(z) {
+  return lastCheckpointZ - z >= CHECKPOINTS.spacing;
+}
+
+/**
+ * Make a platform a checkpoint
+ * @param {THREE.Mesh} platform - A plain, still platform
+ * @param {boolean} withFlag - Whether to plant a flag on it (the start has none)
+ */
+export function markCheckpoint(platform, withFlag = true) {
+  const { userData } = platform;
+  userData.isCheckpoint = true;
+  if (withFlag) {
+    // At the edge, clear of the ball rolling down the middle
+    userData.checkpointFlag = createFlag(platform, {
+      color: CHECKPOINTS.flagColor,
+      side: -(userData.width / 2 - 0.8),
+    });
+  }
+  lastCheckpointZ = platform.position.z;
+}
+
+/**
+ * Make a checkpoint the ball has landed on the respawn point
+ * @param {THREE.Mesh} platform - The checkpoint platform
+ * @returns {boolean} Whether it is a checkpoint not reached before
+ */
+export function reachCheckpoint(platform) {
+  const { userData } = platform;
+  if (!userData.isCheckpoint || userData.checkpointReached) return false;
+
+  userData.checkpointReached = true;
+  if (activeCheckpoint && activeCheckpoint.userData.checkpointFlag) {
+    setFlagColor(activeCheckpoint.userData.checkpointFlag, CHECKPOINTS.flagColor);
+  }
+  if (userData.checkpointFlag) {
+    setFlagColor(userData.checkpointFlag, CHECKPOINTS.reachedColor);
+  }
+  activeCheckpoint = platform;
+  return true;
+}
+
+/**
+ * Get the checkpoint the ball would respawn on
+ * @returns {THREE.Mesh|null} The platform, or null before the first is reached
+ */
+export function getActiveCheckpoint() {
+  return activeCheckpoint;
+}
+
+/**
+ * Get where a respawned ball is dropped: above the back half of the active
+ * checkpoint, so it has some run-up
+ * @returns {THREE.Vector3|null} The position, or null with no checkpoint
+ */
+export function getRespawnPosition() {
+  if (!activeCheckpoint) return null;
+
+  const { userData } = activeCheckpoint;
+  const normal = getGravityConfig(userData.gravityDirection || "down").normal;
+  const position = activeCheckpoint.position.clone();
+  position.z += userData.depth * 0.25;
+  addScaledAxis(
+    position,
+    normal,
+    (userData.thickness || 1) / 2 + CHECKPOINTS.respawnHeight
+  );
+  return position;
+}
+
+/**
+ * Get the position cleanup should measure from, so nothing from the active
+ * checkpoint onwards is removed while the ball could still respawn there
+ * @param {THREE.Vector3} ballPosition - Where the ball is
+ * @returns {THREE.Vector3} The ball's position, or one level with the checkpoint
+ */
+export function getCleanupPosition(ballPosition) {
+  if (!activeCheckpoint || activeCheckpoint.position.z <= ballPosition.z) {
+    return ballPosition;
+  }
+  return new THREE.Vector3(
+    ballPosition.x,
+    ballPosition.y,
+    activeCheckpoint.position.z
+  );
+}
+
+/**
+ * Forget every checkpoint, for a new run
+ */
+export function resetCheckpoints() {
+  lastCheckpointZ = 0;
+  activeCheckpoint = null;
+}
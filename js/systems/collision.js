@@ -5,15 +5,23 @@
 
 import {
   GAME_SETTINGS,
+  HAZARDS,
 } from "../config.js";
 import {
   getBall,
   getBallVelocity,
+  getPreviousBallPosition,
+  syncPreviousBallPosition,
   applyPlatformEffects,
   getExtraJumps,
   addExtraJumps,
+  stunBall,
+  setAirEntryMethod,
 } from "../entities/ball.js";
-import { checkPlatformCollision } from "../entities/platform.js";
+import {
+  queryPlatformContact,
+  resolvePlatformBlocking,
+} from "../entities/platform.js";
 import { checkPowerUpCollisions } from "../entities/powerup.js";
 import { updateExtraJumps } from "./ui.js";
 import {
@@ -22,15 +30,24 @@ import {
   getPositionAlong,
   setPositionAlong,
 } from "./gravity.js";
+import { startCrumbling } from "./crumbling.js";
+import { takeHazardHit } from "./hazards.js";
+import { reachCheckpoint } from "./checkpoints.js";
+
+/**
+ * Get the platform contact for the ball where it is now
+ * @returns {Object} Contact information (see queryPlatformContact)
+ */
+export function getPlatformContact() {
+  return queryPlatformContact(getBall().position, getBallVelocity());
+}
 
 /**
  * Check if the ball is on a platform
- * @param {Function} isOnPlatformCallback - Callback to set if the ball is on a platform
  * @returns {boolean} Whether the ball is on a platform
  */
-export function isOnPlatform(isOnPlatformCallback) {
-  return checkPlatformCollision(getBall().position, getBallVelocity())
-    .onPlatform;
+export function isOnPlatform() {
+  return getPlatformContact().onPlatform;
 }
 
 /**
@@ -49,11 +66,21 @@ export function handlePlatformCollisions(
   const gravityConfig = getGravityConfig(gravityDirection);
   const wasFalling = getPositionAlong(ballVelocity, gravityConfig.gravity) > 0;
 
-  // Check if the ball is on a platform
-  const platformInfo = checkPlatformCollision(ball.position, ballVelocity);
+  // Check if the ball is on a platform, sweeping this frame's move so fast
+  // falls and long frames can't pass through the surface
+  const platformInfo = queryPlatformContact(
+    ball.position,
+    ballVelocity,
+    getPreviousBallPosition()
+  );
+  if (platformInfo.contactPosition) {
+    ball.position.copy(platformInfo.contactPosition);
+  }
 
   // Apply platform effects to the ball
   const newSpeed = applyPlatformEffects(platformInfo, speed);
+  let teleportOffset = null;
+  let hazardHit = null;
 
   // If on a platform, snap the ball to the platform surface
   if (platformInfo.onPlatform) {
@@ -75,18 +102,30 @@ export function handlePlatformCollisions(
       onRedFlagPlatformReached();
     }
 
+    if (platformInfo.platform && platformInfo.platform.userData.isCheckpoint) {
+      reachCheckpoint(platformInfo.platform);
+    }
+
     if (platformInfo.platform && platformInfo.challengeType === "crumbling") {
-      startCrumblingPlatform(platformInfo.platform);
+      startCrumbling(platformInfo.platform);
     }
 
     if (platformInfo.platform && platformInfo.challengeType === "hazard") {
-      updateHazardPlatform(platformInfo.platform, ballVelocity);
+      hazardHit = applyHazardHit(platformInfo.platform, ballVelocity);
+    }
+
+    if (platformInfo.platform && platformInfo.challengeType === "teleporter") {
+      teleportOffset = useTeleporter(platformInfo.platform);
     }
 
     // We don't need to update the extra jumps UI here anymore
     // Extra jumps should persist across platform landings
   }
 
+  // Keep the ball out of platform sides and undersides (after the landing
+  // check, so a fast fall is caught by the sweep before it is pushed sideways)
+  resolvePlatformBlocking(ball.position, ballVelocity);
+
   return {
     onPlatform: platformInfo.onPlatform,
     speed: newSpeed,
@@ -95,36 +134,53 @@ export function handlePlatformCollisions(
     platformId: platformInfo.platformId,
     isMovingPlatform: platformInfo.isMovingPlatform,
     isTrampoline: platformInfo.isTrampoline,
+    teleportOffset,
+    hazardHit,
   };
 }
 
-function startCrumblingPlatform(platform) {
-  if (platform.userData.crumbleStarted) return;
-
-  platform.userData.crumbleStarted = true;
-  platform.material.opacity = 0.65;
-  platform.material.transparent = true;
-
-  setTimeout(() => {
-    platform.userData.isCollapsed = true;
-    platform.visible = false;
-  }, 650);
+/**
+ * Move the ball from a teleporter entrance to the same spot on its exit,
+ * keeping its velocity
+ * @param {THREE.Mesh} entrance - The entrance the ball is on
+ * @returns {THREE.Vector3|null} How far the ball moved, or null if the entrance is spent
+ */
+function useTeleporter(entrance) {
+  const exit = entrance.userData.teleportTo;
+  if (!exit || entrance.userData.teleportUsed) return null;
+
+  entrance.userData.teleportUsed = true;
+  exit.userData.awaitingTeleport = false;
+
+  const offset = exit.position.clone().sub(entrance.position);
+  getBall().position.add(offset);
+  // Nothing between the two platforms was passed through
+  syncPreviousBallPosition();
+  return offset;
 }
 
-function updateHazardPlatform(platform, ballVelocity) {
-  const now = performance.now();
-  const gravityConfig = getGravityConfig(platform.userData.gravityDirection || "down");
-
-  if (!platform.userData.hazardContactStart) {
-    platform.userData.hazardContactStart = now;
-  }
-
-  ballVelocity.x *= 1.015;
-
-  if (now - platform.userData.hazardContactStart > 700) {
-    addScaledAxis(ballVelocity, gravityConfig.gravity, 0.25);
-    platform.userData.hazardContactStart = now;
+/**
+ * Let a live hazard act on the ball: electric surfaces stun its steering and
+ * vents blast it off along the platform's normal (spikes are left to the caller)
+ * @param {THREE.Mesh} platform - The hazard platform the ball is on
+ * @param {Object} ballVelocity - The ball's velocity, changed in place
+ * @returns {string|null} The variant that hit, or null
+ */
+function applyHazardHit(platform, ballVelocity) {
+  const hit = takeHazardHit(platform);
+
+  if (hit === "electric") {
+    stunBall(HAZARDS.variants.electric.stunTime);
+  } else if (hit === "vent") {
+    const normal = getGravityConfig(platform.userData.gravityDirection || "down").normal;
+    addScaledAxis(
+      ballVelocity,
+      normal,
+      HAZARDS.variants.vent.blast - getPositionAlong(ballVelocity, normal)
+    );
+    setAirEntryMethod("bounced");
   }
+  return hit;
 }
 
 /**
@@ -162,21 +218,15 @@ export function handlePowerUpCollisions(
 }
 
 /**
- * Check if the ball has fallen too far
+ * Get how far the ball is below the nearest platform in its gravity
  * @param {Array} platforms - Array of platforms
- * @param {number} fallThreshold - Distance threshold for falling
- * @returns {boolean} Whether the ball has fallen too far
+ * @param {string} gravityDirection - Current gravity direction
+ * @returns {number|null} Distance below that platform's middle along gravity
+ *   (negative above it), or null with no platform to compare
  */
-export function checkFallOutOfBounds(
-  platforms,
-  fallThreshold = GAME_SETTINGS.fallOutOfBoundsDistance,
-  gravityDirection = "down",
-  graceDistance = 0
-) {
+export function getFallDepth(platforms, gravityDirection = "down") {
   const ball = getBall();
-  if (graceDistance > 0) return false;
-
-  if (platforms.length === 0) return false;
+  if (platforms.length === 0) return null;
   const gravityConfig = getGravityConfig(gravityDirection);
   const ballGravityPosition = getPositionAlong(
     ball.position,
@@ -212,7 +262,7 @@ export function checkFallOutOfBounds(
     );
   }
 
-  if (validPlatforms.length === 0) return false;
+  if (validPlatforms.length === 0) return null;
 
   let nearestPlatform = null;
   let nearestZDistance = Infinity;
@@ -224,12 +274,30 @@ export function checkFallOutOfBounds(
     }
   }
 
-  if (!nearestPlatform) return false;
+  if (!nearestPlatform) return null;
 
   const nearestSafeSurface = getPositionAlong(
     nearestPlatform.position,
     gravityConfig.gravity
   );
 
-  return ballGravityPosition > nearestSafeSurface + fallThreshold;
+  return ballGravityPosition - nearestSafeSurface;
+}
+
+/**
+ * Check if the ball has fallen too far
+ * @param {Array} platforms - Array of platforms
+ * @param {number} fallThreshold - Distance threshold for falling
+ * @returns {boolean} Whether the ball has fallen too far
+ */
+export function checkFallOutOfBounds(
+  platforms,
+  fallThreshold = GAME_SETTINGS.fallOutOfBoundsDistance,
+  gravityDirection = "down",
+  graceDistance = 0
+) {
+  if (graceDistance > 0) return false;
+
+  const fallDepth = getFallDepth(platforms, gravityDirection);
+  return fallDepth !== null && fallDepth > fallThreshold;
 }
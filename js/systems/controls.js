@@ -116,6 +116,9 @@ export function onKeyDown(
   pauseGame = null,
   setClaw = null
 ) {
+  // Typing into a form field (e.g. the seed input) is not game input
+  if (event.target && event.target.tagName === "INPUT") return;
+
   if (gameOver) {
     // Allow restarting with 'R' key when game is over
     if (event.key.toLowerCase() === "r") {
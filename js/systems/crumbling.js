@@ -0,0 +1,253 @@
+/**
+ * Crumbling System
+ * Takes crumbling platforms from landing to collapse (and back, where the
+ * course allows it)
+ *
+ * Landing on one starts a warning: it shakes harder and flickers cracked
+ * faster until it breaks into pieces that fall away along its own gravity.
+ * Phases run on game time, so a platform crumbles the same way whether or
+ * not the ball is still on it, and hold while the game is paused. Timing
+ * comes from the level (see getCrumbleTiming); materials are only swapped,
+ * never changed, since they are shared.
+ */
+
+import THREE from "../utils/three-wrapper.js";
+import { CRUMBLING } from "../config.js";
+import { addScaledAxis } from "./gravity.js";
+import { scheduleAfter, getGameTime } from "./scheduler.js";
+import {
+  getSharedGeometry,
+  getSharedMaterial,
+  disposeObject,
+} from "../utils/resources.js";
+
+// Platforms shaking before they fall
+let warningPlatforms = [];
+// Pieces of collapsed platforms, one group per platform
+let debrisGroups = [];
+// Collapsed platforms that are not coming back on their own
+let collapsedPlatforms = [];
+
+/**
+ * Get how a level's crumbling platforms behave
+ * Warnings get shorter as levels go up; hand-authored courses may override both
+ * @param {number} level - Level the platform belongs to
+ * @param {Object} overrides - { warningTime, respawnDelay } from a level file
+ * @returns {Object} { warningTime, respawnDelay } in seconds (respawnDelay null for never)
+ */
+export function getCrumbleTiming(level = 1, overrides = {}) {
+  const warningTime = Math.max(
+    CRUMBLING.minWarningTime,
+    CRUMBLING.warningTime - CRUMBLING.warningTimePerLevel * (level - 1)
+  );
+  return { warningTime, respawnDelay: CRUMBLING.respawnDelay, ...overrides };
+}
+
+/**
+ * Start a crumbling platform's warning, if it has not started already
+ * @param {THREE.Mesh} platform - The platform the ball landed on
+ */
+export function startCrumbling(platform) {
+  const { userData } = platform;
+  if (userData.crumbleStarted || userData.isCollapsed) return;
+
+  const timing = userData.crumbleTiming || getCrumbleTiming();
+  userData.crumbleStarted = true;
+  userData.crumble = {
+    startedAt: getGameTime(),
+    warningTime: timing.warningTime,
+    material: platform.material,
+    shake: new THREE.Vector3(),
+  };
+  warningPlatforms.push(platform);
+
+  scheduleAfter(timing.warningTime, () => collapsePlatform(platform, timing));
+}
+
+/**
+ * Get the cracked look of a platform material, shared by every platform using it
+ * @param {THREE.Material} source - The platform's own material
+ * @returns {THREE.Material} The cracked material
+ */
+function getCrackedMaterial(source) {
+  return getSharedMaterial(`platform-cracked:${source.uuid}`, () => {
+    const cracked = source.clone();
+    cracked.color.lerp(new THREE.Color(CRUMBLING.crackColor), 0.6);
+    if (cracked.emissive) {
+      cracked.emissive.set(CRUMBLING.crackColor);
+      cracked.emissiveIntensity = 0.3;
+    }
+    return cracked;
+  });
+}
+
+/**
+ * Move a platform to a new shake offset from where it rests
+ * Moving platforms are placed afresh every step, so they have no old offset to undo
+ * @param {THREE.Mesh} platform - The platform
+ * @param {THREE.Vector3} offset - The new offset
+ */
+function setShake(platform, offset) {
+  const { crumble } = platform.userData;
+  if (!platform.userData.isMovingPlatform) platform.position.sub(crumble.shake);
+  crumble.shake.copy(offset);
+  platform.position.add(offset);
+}
+
+/**
+ * End a platform's warning: it breaks up, and comes back later if its course allows
+ * @param {THREE.Mesh} platform - The platform
+ * @param {Object} timing - Its crumble timing
+ */
+function collapsePlatform(platform, timing) {
+  const { userData } = platform;
+  warningPlatforms = warningPlatforms.filter((candidate) => candidate !== platform);
+  setShake(platform, new THREE.Vector3());
+  platform.material = userData.crumble.material;
+
+  userData.isCollapsed = true;
+  platform.visible = false;
+
+  // Platforms already cleaned up behind the ball just stay gone
+  if (!platform.parent) return;
+  spawnDebris(platform);
+
+  if (timing.respawnDelay) {
+    scheduleAfter(timing.respawnDelay, () => respawnPlatform(platform));
+  } else {
+    collapsedPlatforms.push(platform);
+  }
+}
+
+/**
+ * Put a collapsed platform back, ready to crumble again
+ * @param {THREE.Mesh} platform - The platform
+ */
+function respawnPlatform(platform) {
+  if (!platform.parent) return;
+
+  platform.userData.isCollapsed = false;
+  platform.userData.crumbleStarted = false;
+  platform.userData.crumble = null;
+  platform.visible = true;
+}
+
+/**
+ * Put back every collapsed platform still on the course, for a ball
+ * respawned behind them
+ */
+export function restoreCollapsedPlatforms() {
+  collapsedPlatforms.forEach(respawnPlatform);
+  collapsedPlatforms = [];
+}
+
+/**
+ * Break a platform into a grid of pieces that fall away from where it was
+ * The pieces live in the platform's frame, so they fall along its gravity
+ * @param {THREE.Mesh} platform - The collapsed platform
+ */
+function spawnDebris(platform) {
+  const { width, depth, thickness = 1, isRoundPlatform } = platform.userData;
+  const grid = CRUMBLING.debrisGrid;
+  const pieceWidth = width / grid;
+  const pieceDepth = depth / grid;
+
+  // Its own copy of the material, so the pieces can fade out
+  const material = platform.material.clone();
+  material.transparent = true;
+  const geometry = getSharedGeometry(
+    "platform-box",
+    () => new THREE.BoxGeometry(1, 1, 1)
+  );
+
+  const group = new THREE.Group();
+  group.position.copy(platform.position);
+  group.quaternion.copy(platform.quaternion);
+  group.userData = { age: 0, material };
+
+  for (let i = 0; i < grid; i++) {
+    for (let j = 0; j < grid; j++) {
+      const x = (i + 0.5) * pieceWidth - width / 2;
+      const z = (j + 0.5) * pieceDepth - depth / 2;
+      if (isRoundPlatform && Math.hypot(x, z) > width / 2) continue;
+
+      const piece = new THREE.Mesh(geometry, material);
+      piece.position.set(x, 0, z);
+      piece.scale.set(pieceWidth * 0.92, thickness, pieceDepth * 0.92);
+      // Outward from the middle, tumbling away from it
+      const outwardX = x / (width / 2);
+      const outwardZ = z / (depth / 2);
+      piece.userData.velocity = new THREE.Vector3(
+        outwardX * CRUMBLING.debrisSpread,
+        0,
+        outwardZ * CRUMBLING.debrisSpread
+      );
+      piece.userData.spin = new THREE.Vector3(outwardZ * 0.08, 0, -outwardX * 0.08);
+      group.add(piece);
+    }
+  }
+
+  platform.parent.add(group);
+  debrisGroups.push(group);
+}
+
+/**
+ * Shake platforms in their warning and move falling pieces
+ * @param {number} deltaTime - Simulated time this step
+ */
+export function updateCrumblingPlatforms(deltaTime) {
+  const now = getGameTime();
+
+  warningPlatforms = warningPlatforms.filter((platform) => platform.parent);
+  warningPlatforms.forEach((platform) => {
+    const { crumble, sideAxis } = platform.userData;
+    const elapsed = now - crumble.startedAt;
+    const progress = Math.min(elapsed / crumble.warningTime, 1);
+
+    // Flicker cracked faster and shake harder as the collapse nears
+    const cracked = Math.sin(elapsed * (8 + 40 * progress)) > 0;
+    platform.material = cracked ? getCrackedMaterial(crumble.material) : crumble.material;
+
+    const shake = new THREE.Vector3();
+    addScaledAxis(
+      shake,
+      sideAxis,
+      Math.sin(elapsed * CRUMBLING.shakeSpeed) * CRUMBLING.shakeAmount * progress
+    );
+    setShake(platform, shake);
+  });
+
+  const frames = deltaTime * 60;
+  debrisGroups = debrisGroups.filter((group) => {
+    group.userData.age += deltaTime;
+    if (group.userData.age >= CRUMBLING.debrisLifetime) {
+      if (group.parent) group.parent.remove(group);
+      disposeObject(group);
+      return false;
+    }
+
+    group.children.forEach((piece) => {
+      const { velocity, spin } = piece.userData;
+      velocity.y -= CRUMBLING.debrisGravity * frames;
+      piece.position.addScaledVector(velocity, frames);
+      piece.rotation.x += spin.x * frames;
+      piece.rotation.z += spin.z * frames;
+    });
+    group.userData.material.opacity =
+      1 - group.userData.age / CRUMBLING.debrisLifetime;
+    return true;
+  });
+}
+
+/**
+ * Clear every warning and falling piece, for a new run
+ */
+export function resetCrumbling() {
+  debrisGroups.forEach((group) => {
+    if (group.parent) group.parent.remove(group);
+    disposeObject(group);
+  });
+  debrisGroups = [];
+  warningPlatforms = [];
+  collapsedPlatforms = [];
+}
@@ -0,0 +1,138 @@
+/**
+ * Director System
+ * Adapts the difficulty to how the player is doing
+ *
+ * Landings and combos push a single rating up; lost lives, missed landings,
+ * SOS grabs and time spent deep below the course push it down, and it eases
+ * back to neutral over time. The rating scales forward speed, platform size,
+ * gaps and how often hazards appear between the bounds in DIRECTOR. It only
+ * ever reads simulated events, so a seed still plays out the same way for the
+ * same inputs. Platforms are generated ahead of the ball, so changes reach
+ * the course a little after they are earned.
+ */
+
+import { DIRECTOR, GAME_SETTINGS } from "../config.js";
+import { clamp } from "../utils/helpers.js";
+
+// Knobs the rating scales, as keys of DIRECTOR
+const KNOBS = ["speed", "platformSize", "gap", "hazardFrequency"];
+
+// -1 (struggling) to 1 (cruising)
+let rating = 0;
+// What the player has done this run
+let stats = createStats();
+// Whether the ball is already counted as missing its current landing
+let isMissing = false;
+
+/**
+ * Get a fresh set of run statistics
+ * @returns {Object} Zeroed statistics
+ */
+function createStats() {
+  return {
+    landings: 0,
+    bestCombo: 0,
+    deaths: 0,
+    missedLandings: 0,
+    sosUses: 0,
+    nearOutOfBoundsTime: 0,
+  };
+}
+
+/**
+ * Move the rating, keeping it in range
+ * @param {number} amount - How far (negative for easier)
+ */
+function nudge(amount) {
+  if (!DIRECTOR.enabled) return;
+  rating = clamp(rating + amount, -1, 1);
+}
+
+/**
+ * Count a landing on a new platform
+ * @param {number} combo - Combo after the landing
+ */
+export function recordLanding(combo) {
+  stats.landings++;
+  stats.bestCombo = Math.max(stats.bestCombo, combo);
+  nudge(DIRECTOR.landing + DIRECTOR.comboStep * Math.min(combo, DIRECTOR.comboCap));
+}
+
+/**
+ * Count a lost life
+ */
+export function recordDeath() {
+  stats.deaths++;
+  nudge(DIRECTOR.death);
+}
+
+/**
+ * Count an SOS grab
+ */
+export function recordSOSUse() {
+  stats.sosUses++;
+  nudge(DIRECTOR.sosUse);
+}
+
+/**
+ * Follow the ball's height each step: falling missDepth below the nearest
+ * platform counts once as a missed landing, and lingering deeper still
+ * wears the rating down until it lands
+ * @param {number} deltaTime - Simulated time this step
+ * @param {number|null} fallDepth - How far the ball is below the nearest platform's
+ *   middle (negative above it, null with no platform to compare)
+ * @param {boolean} onPlatform - Whether the ball is on a platform
+ */
+export function updateDirector(deltaTime, fallDepth, onPlatform) {
+  if (onPlatform || fallDepth === null) {
+    isMissing = false;
+  } else if (fallDepth > DIRECTOR.missDepth && !isMissing) {
+    isMissing = true;
+    stats.missedLandings++;
+    nudge(DIRECTOR.missedLanding);
+  }
+
+  const deepBelow =
+    GAME_SETTINGS.fallOutOfBoundsDistance * DIRECTOR.nearOutOfBoundsShare;
+  if (!onPlatform && fallDepth !== null && fallDepth > deepBelow) {
+    stats.nearOutOfBoundsTime += deltaTime;
+    nudge(DIRECTOR.nearOutOfBounds * deltaTime);
+  }
+
+  // Ease back toward neutral
+  const relax = DIRECTOR.relaxRate * deltaTime;
+  rating = rating > 0 ? Math.max(0, rating - relax) : Math.min(0, rating + relax);
+}
+
+/**
+ * Get how much a knob is scaled at the current rating
+ * @param {string} knob - "speed", "platformSize", "gap" or "hazardFrequency"
+ * @returns {number} Multiplier on the level-based value (1 at a neutral rating)
+ */
+export function getDifficultyScale(knob) {
+  const bounds = DIRECTOR[knob];
+  if (rating < 0) return 1 + (bounds.easiest - 1) * -rating;
+  return 1 + (bounds.hardest - 1) * rating;
+}
+
+/**
+ * Get the director's current state, for debugging
+ * (also reachable from the browser console as window.getDifficulty())
+ * @returns {Object} { rating, scales: { knob: multiplier }, stats }
+ */
+export function getDifficulty() {
+  const scales = {};
+  KNOBS.forEach((knob) => {
+    scales[knob] = getDifficultyScale(knob);
+  });
+  return { rating, scales, stats: { ...stats } };
+}
+
+/**
+ * Forget how the player was doing, for a new run
+ */
+export function resetDirector() {
+  rating = 0;
+  stats = createStats();
+  isMissing = false;
+}
@@ -0,0 +1,762 @@
+/**
+ * Level Editor
+ * Build courses in the browser, play-test them and share them as JSON
+ *
+ * Courses use the level file format (see level-files.js). Positions are
+ * relative to the front edge of the starting trampoline, so an exported
+ * course can be dropped into levels/ and played as a level or set-piece.
+ */
+
+import THREE from "../utils/three-wrapper.js";
+import {
+  EDITOR_SETTINGS,
+  ELEMENT_IDS,
+  MATERIALS,
+  PLATFORM_MOVEMENT,
+  PLATFORM_COLLISION,
+} from "../config.js";
+import {
+  resetPlatforms,
+  createStartingPlatforms,
+  createPlatformFromSpec,
+  removePlatform,
+  getLastPlatformAnchor,
+} from "../entities/platform.js";
+import { parseLevelData } from "./level-files.js";
+import { disposeObject } from "../utils/resources.js";
+import { getElement, showElement, hideElement } from "../utils/helpers.js";
+
+// Platform types offered in the editor and the fields they set
+const PLATFORM_KINDS = {
+  regular: { bounceEffect: null, challengeType: "regular" },
+  trampoline: { bounceEffect: "forward", challengeType: "regular" },
+  slowDown: { bounceEffect: "backward", challengeType: "regular" },
+  precision: { bounceEffect: null, challengeType: "precision" },
+  crumbling: { bounceEffect: null, challengeType: "crumbling" },
+  hazard: { bounceEffect: null, challengeType: "hazard", hazard: "electric" },
+  hazardSpikes: { bounceEffect: null, challengeType: "hazard", hazard: "spikes" },
+  hazardVent: { bounceEffect: null, challengeType: "hazard", hazard: "vent" },
+  conveyor: { bounceEffect: null, challengeType: "conveyor" },
+};
+
+// Power-up marker colors (SOS matches createPowerUp)
+const POWER_UP_COLORS = {
+  extraJump: MATERIALS.powerUp.extraJump,
+  jetpack: MATERIALS.powerUp.jetpack,
+  SOS: 0xff1493,
+};
+
+// Editor state
+let active = false;
+let scene = null;
+let camera = null;
+let canvas = null;
+let handlers = { onPlayTest: null, onExit: null };
+let course = createEmptyCourse();
+let tool = "select";
+let selected = null; // { list: "platforms" | "powerUps" | "rescueTargets", index }
+let drag = null;
+let anchor = new THREE.Vector3();
+let focusZ = -20; // Course position the camera looks at
+let editHeight = 0; // Height new entries are placed at
+let lastPowerUpType = "extraJump";
+
+// Scene objects, kept parallel to the course lists
+let meshes = { platforms: [], powerUps: [], rescueTargets: [] };
+let selectionBox = null;
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+/**
+ * Create a course with nothing in it
+ * @returns {Object} Empty level data
+ */
+function createEmptyCourse() {
+  return { name: "Custom Course", platforms: [], powerUps: [], rescueTargets: [] };
+}
+
+/**
+ * Round a value to the editor grid
+ * @param {number} value - The value to snap
+ * @returns {number} The snapped value
+ */
+function snap(value) {
+  return Math.round(value / EDITOR_SETTINGS.snap) * EDITOR_SETTINGS.snap;
+}
+
+/**
+ * Clamp a platform size to the editor limits
+ * @param {number} value - The size
+ * @returns {number} The clamped size
+ */
+function clampSize(value) {
+  return Math.min(
+    EDITOR_SETTINGS.maxSize,
+    Math.max(EDITOR_SETTINGS.minSize, snap(value))
+  );
+}
+
+/**
+ * Set up the editor
+ * @param {THREE.Scene} gameScene - The scene
+ * @param {THREE.Camera} gameCamera - The camera
+ * @param {HTMLElement} domElement - The renderer canvas
+ * @param {Object} callbacks - {onPlayTest(course), onExit()}
+ */
+export function initEditor(gameScene, gameCamera, domElement, callbacks = {}) {
+  scene = gameScene;
+  camera = gameCamera;
+  canvas = domElement;
+  handlers = { ...handlers, ...callbacks };
+
+  // Movement options come from the config so new patterns show up here
+  const movementSelect = getElement(ELEMENT_IDS.editorMovement);
+  if (movementSelect) {
+    movementSelect.innerHTML = '<option value="">None</option>';
+    PLATFORM_MOVEMENT.types.forEach((type) => {
+      const option = document.createElement("option");
+      option.value = type;
+      option.textContent = type;
+      movementSelect.appendChild(option);
+    });
+  }
+
+  document.querySelectorAll("[data-editor-tool]").forEach((button) => {
+    button.addEventListener("click", () => setTool(button.dataset.editorTool));
+  });
+
+  [
+    ELEMENT_IDS.editorWidth,
+    ELEMENT_IDS.editorDepth,
+    ELEMENT_IDS.editorHeight,
+    ELEMENT_IDS.editorType,
+    ELEMENT_IDS.editorMovement,
+    ELEMENT_IDS.editorCollision,
+    ELEMENT_IDS.editorSurface,
+    ELEMENT_IDS.editorPowerUpType,
+  ].forEach((id) => {
+    const input = getElement(id);
+    if (input) input.addEventListener("change", applyPanelChanges);
+  });
+
+  const bindClick = (id, action) => {
+    const button = getElement(id);
+    if (button) button.addEventListener("click", action);
+  };
+  bindClick(ELEMENT_IDS.editorDelete, deleteSelected);
+  bindClick(ELEMENT_IDS.editorPlay, playTest);
+  bindClick(ELEMENT_IDS.editorExport, exportCourse);
+  bindClick(ELEMENT_IDS.editorLoad, () =>
+    importCourse(getElement(ELEMENT_IDS.editorJson).value, "pasted JSON")
+  );
+  bindClick(ELEMENT_IDS.editorOpenFile, () =>
+    getElement(ELEMENT_IDS.editorFileInput).click()
+  );
+  bindClick(ELEMENT_IDS.editorClear, () => {
+    course = createEmptyCourse();
+    select(null);
+    rebuildCourse();
+    setStatus("Started a new course");
+  });
+  bindClick(ELEMENT_IDS.editorExit, () => {
+    if (handlers.onExit) handlers.onExit();
+  });
+
+  const fileInput = getElement(ELEMENT_IDS.editorFileInput);
+  if (fileInput) {
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      file.text().then((text) => importCourse(text, file.name));
+      fileInput.value = "";
+    });
+  }
+
+  canvas.addEventListener("pointerdown", onPointerDown);
+  canvas.addEventListener("pointermove", onPointerMove);
+  window.addEventListener("pointerup", onPointerUp);
+  canvas.addEventListener("wheel", onWheel, { passive: false });
+  document.addEventListener("keydown", onKeyDown);
+}
+
+/**
+ * Open the editor with the current course
+ */
+export function openEditor() {
+  active = true;
+  drag = null;
+  showElement(ELEMENT_IDS.editorPanel);
+
+  // Start from a clean course with only the starting trampoline
+  resetPlatforms(scene);
+  createStartingPlatforms(scene, 0);
+  anchor = getLastPlatformAnchor("down");
+  camera.up.set(0, 1, 0);
+
+  rebuildCourse();
+  updatePanel();
+}
+
+/**
+ * Close the editor (the caller rebuilds the game course)
+ */
+export function closeEditor() {
+  active = false;
+  drag = null;
+  hideElement(ELEMENT_IDS.editorPanel);
+  clearMeshes();
+}
+
+/**
+ * Whether the editor is open
+ * @returns {boolean} True while editing
+ */
+export function isEditorActive() {
+  return active;
+}
+
+/**
+ * Move the camera toward the editing view (call every frame while editing)
+ */
+export function updateEditor() {
+  const focus = new THREE.Vector3(
+    anchor.x,
+    anchor.y + editHeight,
+    anchor.z + focusZ
+  );
+  const target = new THREE.Vector3(
+    focus.x,
+    focus.y + EDITOR_SETTINGS.cameraHeight,
+    focus.z + EDITOR_SETTINGS.cameraDistance
+  );
+
+  camera.position.lerp(target, 0.15);
+  camera.lookAt(focus);
+
+  if (selectionBox) selectionBox.update();
+}
+
+/**
+ * Remove every editor object from the scene
+ */
+function clearMeshes() {
+  meshes.platforms.forEach((platform) => removePlatform(platform, scene));
+  [...meshes.powerUps, ...meshes.rescueTargets].forEach(removeMarker);
+  meshes = { platforms: [], powerUps: [], rescueTargets: [] };
+
+  if (selectionBox) {
+    scene.remove(selectionBox);
+    disposeObject(selectionBox);
+    selectionBox = null;
+  }
+}
+
+/**
+ * Remove a power-up or rescue target marker and free its resources
+ * @param {THREE.Mesh} marker - The marker
+ */
+function removeMarker(marker) {
+  scene.remove(marker);
+  disposeObject(marker);
+}
+
+/**
+ * Rebuild every object in the course
+ */
+function rebuildCourse() {
+  clearMeshes();
+  course.platforms.forEach((entry, index) => buildEntry("platforms", index));
+  course.powerUps.forEach((entry, index) => buildEntry("powerUps", index));
+  course.rescueTargets.forEach((entry, index) => buildEntry("rescueTargets", index));
+  updateSelectionBox();
+}
+
+/**
+ * Build the scene object for one course entry
+ * @param {string} list - "platforms", "powerUps" or "rescueTargets"
+ * @param {number} index - Index in the list
+ */
+function buildEntry(list, index) {
+  const entry = course[list][index];
+  let object;
+
+  if (list === "platforms") {
+    // Real platforms, so the course looks exactly like it will play
+    object = createPlatformFromSpec(entry, scene, anchor);
+  } else {
+    object =
+      list === "powerUps"
+        ? new THREE.Mesh(
+            new THREE.TetrahedronGeometry(1.4),
+            new THREE.MeshStandardMaterial({
+              color: POWER_UP_COLORS[entry.type],
+              emissive: POWER_UP_COLORS[entry.type],
+              emissiveIntensity: 0.8,
+            })
+          )
+        : new THREE.Mesh(
+            new THREE.SphereGeometry(0.75, 16, 16),
+            new THREE.MeshStandardMaterial({
+              color: 0x118ab2,
+              emissive: 0x118ab2,
+              emissiveIntensity: 0.8,
+            })
+          );
+    object.position.set(
+      anchor.x + entry.position.x,
+      anchor.y + entry.position.y,
+      anchor.z + entry.position.z
+    );
+    scene.add(object);
+  }
+
+  meshes[list][index] = object;
+}
+
+/**
+ * Rebuild one entry after it changed
+ * @param {string} list - Course list
+ * @param {number} index - Index in the list
+ */
+function refreshEntry(list, index) {
+  const old = meshes[list][index];
+  if (old) {
+    if (list === "platforms") {
+      removePlatform(old, scene);
+    } else {
+      removeMarker(old);
+    }
+  }
+  buildEntry(list, index);
+  updateSelectionBox();
+}
+
+/**
+ * Find which course entry a scene object belongs to
+ * @param {THREE.Object3D} object - Object hit by the raycaster
+ * @returns {Object|null} { list, index } or null
+ */
+function findEntry(object) {
+  for (let current = object; current; current = current.parent) {
+    for (const list of Object.keys(meshes)) {
+      const index = meshes[list].indexOf(current);
+      if (index !== -1) return { list, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Aim the raycaster at the pointer
+ * @param {PointerEvent} event - Pointer event
+ */
+function aimRaycaster(event) {
+  const rect = canvas.getBoundingClientRect();
+  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+}
+
+/**
+ * Point under the pointer on a horizontal plane
+ * @param {number} height - Plane height relative to the anchor
+ * @returns {THREE.Vector3|null} World point, or null if the plane is not hit
+ */
+function pointOnPlane(height) {
+  const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -(anchor.y + height));
+  const point = new THREE.Vector3();
+  return raycaster.ray.intersectPlane(plane, point) ? point : null;
+}
+
+function onPointerDown(event) {
+  if (!active || event.button !== 0) return;
+  aimRaycaster(event);
+
+  const objects = [
+    ...meshes.platforms,
+    ...meshes.powerUps,
+    ...meshes.rescueTargets,
+  ];
+  const hit = raycaster.intersectObjects(objects, true)[0];
+  const hitEntry = hit ? findEntry(hit.object) : null;
+
+  // Clicking something always selects it, whatever the tool
+  if (hitEntry) {
+    select(hitEntry);
+    const entry = course[hitEntry.list][hitEntry.index];
+    const point = pointOnPlane(entry.position.y);
+    if (point) {
+      drag = {
+        ...hitEntry,
+        resize: event.shiftKey && hitEntry.list === "platforms",
+        offsetX: entry.position.x - (point.x - anchor.x),
+        offsetZ: entry.position.z - (point.z - anchor.z),
+      };
+    }
+    return;
+  }
+
+  const point = pointOnPlane(editHeight);
+  if (!point || tool === "select") {
+    select(null);
+    return;
+  }
+
+  const position = {
+    x: snap(point.x - anchor.x),
+    y: editHeight,
+    z: snap(point.z - anchor.z),
+  };
+
+  if (tool === "platform") {
+    course.platforms.push({
+      position,
+      size: {
+        width: EDITOR_SETTINGS.defaultWidth,
+        depth: EDITOR_SETTINGS.defaultDepth,
+      },
+      challengeType: "regular",
+      bounceEffect: null,
+      movementType: null,
+      gravityDirection: "down",
+    });
+  } else if (tool === "powerUp") {
+    position.y = editHeight + EDITOR_SETTINGS.powerUpHeight;
+    course.powerUps.push({ type: lastPowerUpType, position });
+  } else if (tool === "rescueTarget") {
+    position.y = editHeight + EDITOR_SETTINGS.rescueTargetHeight;
+    course.rescueTargets.push({ position });
+  }
+
+  const list = `${tool}s`;
+  buildEntry(list, course[list].length - 1);
+  select({ list, index: course[list].length - 1 });
+}
+
+function onPointerMove(event) {
+  if (!active || !drag) return;
+  aimRaycaster(event);
+
+  const entry = course[drag.list][drag.index];
+  const point = pointOnPlane(entry.position.y);
+  if (!point) return;
+
+  if (drag.resize) {
+    // Shift+drag: the pointer sets the platform's corner
+    setPlatformSize(
+      entry,
+      Math.abs(point.x - anchor.x - entry.position.x) * 2,
+      Math.abs(point.z - anchor.z - entry.position.z) * 2
+    );
+  } else {
+    entry.position.x = snap(point.x - anchor.x + drag.offsetX);
+    entry.position.z = snap(point.z - anchor.z + drag.offsetZ);
+  }
+
+  refreshEntry(drag.list, drag.index);
+  updatePanel();
+}
+
+function onPointerUp() {
+  drag = null;
+}
+
+function onWheel(event) {
+  if (!active) return;
+  event.preventDefault();
+  focusZ += event.deltaY * 0.05;
+}
+
+function onKeyDown(event) {
+  if (!active) return;
+  const tag = event.target && event.target.tagName;
+  if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+
+  switch (event.key) {
+    case "Delete":
+    case "Backspace":
+      deleteSelected();
+      event.preventDefault();
+      break;
+    case "Escape":
+      select(null);
+      break;
+    case "w":
+    case "W":
+    case "ArrowUp":
+      focusZ -= EDITOR_SETTINGS.scrollStep;
+      break;
+    case "s":
+    case "S":
+    case "ArrowDown":
+      focusZ += EDITOR_SETTINGS.scrollStep;
+      break;
+  }
+}
+
+/**
+ * Choose the active tool
+ * @param {string} name - "select", "platform", "powerUp" or "rescueTarget"
+ */
+function setTool(name) {
+  tool = name;
+  document.querySelectorAll("[data-editor-tool]").forEach((button) => {
+    button.classList.toggle("active", button.dataset.editorTool === name);
+  });
+}
+
+/**
+ * Select a course entry
+ * @param {Object|null} entryRef - { list, index } or null to clear
+ */
+function select(entryRef) {
+  selected = entryRef;
+
+  // New entries go in at the height of whatever was picked last
+  if (selected && selected.list === "platforms") {
+    editHeight = course.platforms[selected.index].position.y;
+  }
+
+  updateSelectionBox();
+  updatePanel();
+}
+
+/**
+ * Draw a box around the selected entry
+ */
+function updateSelectionBox() {
+  if (selectionBox) {
+    scene.remove(selectionBox);
+    disposeObject(selectionBox);
+    selectionBox = null;
+  }
+  if (!selected || !meshes[selected.list][selected.index]) return;
+
+  selectionBox = new THREE.BoxHelper(meshes[selected.list][selected.index], 0xffd166);
+  scene.add(selectionBox);
+}
+
+/**
+ * Delete the selected entry
+ */
+function deleteSelected() {
+  if (!selected) return;
+  course[selected.list].splice(selected.index, 1);
+  select(null);
+  rebuildCourse();
+}
+
+/**
+ * Resize a platform entry (round platforms keep their shape)
+ * @param {Object} entry - Platform entry
+ * @param {number} width - New width
+ * @param {number} depth - New depth
+ */
+function setPlatformSize(entry, width, depth) {
+  if (entry.size && entry.size.radius !== undefined) {
+    entry.size.radius = clampSize(Math.max(width, depth)) / 2;
+  } else {
+    entry.size = { width: clampSize(width), depth: clampSize(depth) };
+  }
+}
+
+/**
+ * Get the editor type of a platform entry
+ * @param {Object} entry - Platform entry
+ * @returns {string} Key in PLATFORM_KINDS
+ */
+function getPlatformKind(entry) {
+  if (entry.bounceEffect === "forward") return "trampoline";
+  if (entry.bounceEffect === "backward") return "slowDown";
+  if (entry.challengeType === "hazard") {
+    if (entry.hazard === "spikes") return "hazardSpikes";
+    if (entry.hazard === "vent") return "hazardVent";
+  }
+  return entry.challengeType || "regular";
+}
+
+/**
+ * Show the selected entry's properties
+ */
+function updatePanel() {
+  const entry = selected ? course[selected.list][selected.index] : null;
+  const kind = selected ? selected.list : "none";
+
+  const labels = {
+    none: "Nothing selected",
+    platforms: "Platform",
+    powerUps: "Power-up",
+    rescueTargets: "Rescue target",
+  };
+  getElement(ELEMENT_IDS.editorSelectionLabel).textContent = labels[kind];
+
+  // Only show the fields that apply to what is selected
+  document.querySelectorAll("[data-editor-field]").forEach((field) => {
+    const appliesTo = field.dataset.editorField.split(" ");
+    field.classList.toggle("hidden", !appliesTo.includes(kind));
+  });
+
+  if (!entry) return;
+
+  getElement(ELEMENT_IDS.editorHeight).value = entry.position.y;
+
+  if (kind === "platforms") {
+    const size = entry.size || {};
+    getElement(ELEMENT_IDS.editorWidth).value = size.radius ? size.radius * 2 : size.width ?? "";
+    getElement(ELEMENT_IDS.editorDepth).value = size.radius ? size.radius * 2 : size.depth ?? "";
+    getElement(ELEMENT_IDS.editorType).value = getPlatformKind(entry);
+
+    // Trampolines can't move (same rule as the generator)
+    const movementSelect = getElement(ELEMENT_IDS.editorMovement);
+    movementSelect.value = entry.movementType || "";
+    movementSelect.disabled = !!entry.bounceEffect;
+
+    getElement(ELEMENT_IDS.editorCollision).value =
+      entry.collision || PLATFORM_COLLISION.defaultMode;
+
+    // Trampolines keep a normal surface (same rule as the generator)
+    const surfaceSelect = getElement(ELEMENT_IDS.editorSurface);
+    surfaceSelect.value = entry.surface || "normal";
+    surfaceSelect.disabled = !!entry.bounceEffect;
+  } else if (kind === "powerUps") {
+    getElement(ELEMENT_IDS.editorPowerUpType).value = entry.type;
+  }
+}
+
+/**
+ * Copy the property fields back into the selected entry
+ */
+function applyPanelChanges() {
+  if (!selected) return;
+  const entry = course[selected.list][selected.index];
+
+  const height = parseFloat(getElement(ELEMENT_IDS.editorHeight).value);
+  if (Number.isFinite(height)) {
+    entry.position.y = snap(height);
+    if (selected.list === "platforms") editHeight = entry.position.y;
+  }
+
+  if (selected.list === "platforms") {
+    const width = parseFloat(getElement(ELEMENT_IDS.editorWidth).value);
+    const depth = parseFloat(getElement(ELEMENT_IDS.editorDepth).value);
+    if (Number.isFinite(width) && Number.isFinite(depth)) {
+      // Round platforms follow whichever field was edited
+      const diameter = entry.size && entry.size.radius ? entry.size.radius * 2 : null;
+      if (diameter !== null && width === diameter) {
+        setPlatformSize(entry, depth, depth);
+      } else {
+        setPlatformSize(entry, width, diameter !== null ? width : depth);
+      }
+    }
+
+    Object.assign(entry, PLATFORM_KINDS[getElement(ELEMENT_IDS.editorType).value]);
+    if (entry.challengeType !== "conveyor") delete entry.conveyor;
+    if (entry.challengeType !== "hazard") delete entry.hazard;
+    entry.movementType = entry.bounceEffect
+      ? null
+      : getElement(ELEMENT_IDS.editorMovement).value || null;
+    if (entry.movementType !== "path") delete entry.path;
+
+    // Only written out when it differs from the default
+    const collision = getElement(ELEMENT_IDS.editorCollision).value;
+    if (collision === PLATFORM_COLLISION.defaultMode) {
+      delete entry.collision;
+    } else {
+      entry.collision = collision;
+    }
+
+    const surface = entry.bounceEffect
+      ? "normal"
+      : getElement(ELEMENT_IDS.editorSurface).value;
+    if (surface === "normal") {
+      delete entry.surface;
+    } else {
+      entry.surface = surface;
+    }
+  } else if (selected.list === "powerUps") {
+    entry.type = getElement(ELEMENT_IDS.editorPowerUpType).value;
+    lastPowerUpType = entry.type;
+  }
+
+  refreshEntry(selected.list, selected.index);
+  updatePanel();
+}
+
+/**
+ * Show a message under the editor controls
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Whether to style it as an error
+ */
+function setStatus(message, isError = false) {
+  const status = getElement(ELEMENT_IDS.editorStatus);
+  if (!status) return;
+  status.textContent = message;
+  status.classList.toggle("error", isError);
+}
+
+/**
+ * Get a copy of the course being edited
+ * @returns {Object} Level data
+ */
+export function getEditorCourse() {
+  return JSON.parse(JSON.stringify(course));
+}
+
+/**
+ * Validate the course and hand it to the game
+ */
+function playTest() {
+  try {
+    const data = parseLevelData(getEditorCourse(), "editor course");
+    setStatus("");
+    if (handlers.onPlayTest) handlers.onPlayTest(data);
+  } catch (error) {
+    setStatus(error.message, true);
+  }
+}
+
+/**
+ * Write the course as JSON into the text box and download it
+ */
+function exportCourse() {
+  const json = JSON.stringify(course, null, 2);
+  getElement(ELEMENT_IDS.editorJson).value = json;
+
+  const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${(course.name || "course").replace(/\W+/g, "-").toLowerCase()}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  setStatus(`Exported ${course.platforms.length} platforms`);
+}
+
+/**
+ * Replace the course with imported JSON
+ * @param {string} text - JSON text
+ * @param {string} source - Where it came from, for error messages
+ */
+function importCourse(text, source) {
+  try {
+    const data = parseLevelData(JSON.parse(text), source);
+    course = {
+      ...createEmptyCourse(),
+      ...data,
+      powerUps: data.powerUps || [],
+      rescueTargets: data.rescueTargets || [],
+    };
+    select(null);
+    rebuildCourse();
+    setStatus(`Loaded ${course.platforms.length} platforms from ${source}`);
+  } catch (error) {
+    setStatus(
+      error instanceof SyntaxError ? `${source} is not valid JSON: ${error.message}` : error.message,
+      true
+    );
+  }
+}
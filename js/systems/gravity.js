@@ -2,6 +2,8 @@ import THREE from "../utils/three-wrapper.js";
 
 export const GRAVITY_DIRECTIONS = ["down", "right", "up", "left"];
 
+// Each side axis points to screen-right for its camera up, so steering
+// follows the view in every direction
 const CONFIGS = {
   down: {
     gravity: new THREE.Vector3(0, -1, 0),
@@ -9,23 +11,20 @@ const CONFIGS = {
     side: new THREE.Vector3(1, 0, 0),
     cameraOffset: new THREE.Vector3(0, 5, 10),
     cameraUp: new THREE.Vector3(0, 1, 0),
-    platformSize: (width, thickness, depth) => [width, thickness, depth],
   },
   up: {
     gravity: new THREE.Vector3(0, 1, 0),
     normal: new THREE.Vector3(0, -1, 0),
-    side: new THREE.Vector3(1, 0, 0),
+    side: new THREE.Vector3(-1, 0, 0),
     cameraOffset: new THREE.Vector3(0, -5, 10),
     cameraUp: new THREE.Vector3(0, -1, 0),
-    platformSize: (width, thickness, depth) => [width, thickness, depth],
   },
   left: {
     gravity: new THREE.Vector3(-1, 0, 0),
     normal: new THREE.Vector3(1, 0, 0),
-    side: new THREE.Vector3(0, 1, 0),
+    side: new THREE.Vector3(0, -1, 0),
     cameraOffset: new THREE.Vector3(5, 0, 10),
     cameraUp: new THREE.Vector3(1, 0, 0),
-    platformSize: (width, thickness, depth) => [thickness, width, depth],
   },
   right: {
     gravity: new THREE.Vector3(1, 0, 0),
@@ -33,10 +32,21 @@ const CONFIGS = {
     side: new THREE.Vector3(0, 1, 0),
     cameraOffset: new THREE.Vector3(-5, 0, 10),
     cameraUp: new THREE.Vector3(-1, 0, 0),
-    platformSize: (width, thickness, depth) => [thickness, width, depth],
   },
 };
 
+// Rotation that turns a platform built for "down" (x side, y normal, z along
+// the course) into each frame
+Object.values(CONFIGS).forEach((config) => {
+  config.rotation = new THREE.Quaternion().setFromRotationMatrix(
+    new THREE.Matrix4().makeBasis(
+      config.side,
+      config.normal,
+      new THREE.Vector3(0, 0, 1)
+    )
+  );
+});
+
 export function getGravityConfig(direction = "down") {
   return CONFIGS[direction] || CONFIGS.down;
 }
@@ -0,0 +1,340 @@
+/**
+ * Hazards System
+ * Runs the cycle of hazard platforms and shows and sounds what is coming
+ *
+ * Every hazard platform loops through idle, a telegraph and its active
+ * effect on game time, each starting at its own point in the cycle so a row
+ * of them does not fire together. Electric surfaces flicker then crackle,
+ * spikes peek out then stand up, and vents rumble then blast a plume. What
+ * a hit does to the ball is up to the collision system; this module only
+ * says when a platform is live.
+ */
+
+import THREE from "../utils/three-wrapper.js";
+import { HAZARDS } from "../config.js";
+import { randomFloat } from "../utils/rng.js";
+import { getGameTime } from "./scheduler.js";
+import { playCue } from "./audio.js";
+import { getSharedGeometry, getSharedMaterial } from "../utils/resources.js";
+
+// Sound of each variant as it starts its telegraph and goes live
+const HAZARD_CUES = {
+  electric: {
+    telegraph: { type: "sawtooth", frequency: 180, endFrequency: 420, duration: 0.5, volume: 0.4 },
+    active: { type: "square", frequency: 900, endFrequency: 600, duration: 0.25, volume: 0.5 },
+  },
+  spikes: {
+    telegraph: { type: "square", frequency: 320, endFrequency: 480, duration: 0.12, volume: 0.5 },
+    active: { type: "triangle", frequency: 1200, endFrequency: 300, duration: 0.15 },
+  },
+  vent: {
+    telegraph: { type: "sine", frequency: 60, endFrequency: 110, duration: 0.8 },
+    active: { type: "sawtooth", frequency: 200, endFrequency: 50, duration: 0.45, volume: 0.6 },
+  },
+};
+
+// Hazard platforms that have been built (dropped once out of the scene)
+let hazardPlatforms = [];
+
+/**
+ * Get how fast a level's hazards cycle
+ * Cycles get shorter as levels go up; hand-authored courses may override it
+ * @param {number} level - Level the platform belongs to
+ * @param {Object} overrides - { cycleScale } from a level file
+ * @returns {Object} { cycleScale }, multiplying every variant's cycle, telegraph and active time
+ */
+export function getHazardTiming(level = 1, overrides = {}) {
+  const cycleScale = Math.max(
+    HAZARDS.minCycleScale,
+    1 - HAZARDS.cycleScalePerLevel * (level - 1)
+  );
+  return { cycleScale, ...overrides };
+}
+
+/**
+ * Pick a hazard variant among those the level has unlocked, by weight
+ * @param {number} level - Current level
+ * @returns {string} A key of HAZARDS.variants
+ */
+export function pickHazardVariant(level = 1) {
+  const unlocked = Object.keys(HAZARDS.variants).filter(
+    (variant) => level >= HAZARDS.variants[variant].firstLevel
+  );
+  const totalWeight = unlocked.reduce(
+    (sum, variant) => sum + HAZARDS.variants[variant].weight,
+    0
+  );
+
+  let roll = randomFloat() * totalWeight;
+  for (const variant of unlocked) {
+    roll -= HAZARDS.variants[variant].weight;
+    if (roll < 0) return variant;
+  }
+  return unlocked[unlocked.length - 1];
+}
+
+/**
+ * Get where a hazard platform is in its cycle
+ * @param {THREE.Mesh} platform - The hazard platform
+ * @param {number} now - Game time (seconds)
+ * @returns {Object} { phase: "idle", "telegraph" or "active", progress (0-1 through the phase), cycle (count) }
+ */
+export function getHazardState(platform, now = getGameTime()) {
+  const { hazard, hazardTiming, hazardOffset } = platform.userData;
+  const settings = HAZARDS.variants[hazard];
+  const scale = hazardTiming.cycleScale;
+  const cycleLength = settings.cycle * scale;
+  const activeTime = settings.active * scale;
+  const telegraphTime = settings.telegraph * scale;
+
+  const time = now + hazardOffset * cycleLength;
+  const cycle = Math.floor(time / cycleLength);
+  const intoCycle = time - cycle * cycleLength;
+  const activeStart = cycleLength - activeTime;
+  const telegraphStart = activeStart - telegraphTime;
+
+  if (intoCycle >= activeStart) {
+    return { phase: "active", progress: (intoCycle - activeStart) / activeTime, cycle };
+  }
+  if (intoCycle >= telegraphStart) {
+    return {
+      phase: "telegraph",
+      progress: (intoCycle - telegraphStart) / telegraphTime,
+      cycle,
+    };
+  }
+  return { phase: "idle", progress: intoCycle / telegraphStart, cycle };
+}
+
+/**
+ * Take a hit from a hazard platform the ball is on, if it is live
+ * Electric surfaces and vents hit once per cycle; spikes hit whenever they are up
+ * @param {THREE.Mesh} platform - The hazard platform
+ * @returns {string|null} The variant that hit, or null
+ */
+export function takeHazardHit(platform) {
+  const { userData } = platform;
+  const state = getHazardState(platform);
+  if (state.phase !== "active") return null;
+
+  if (userData.hazard !== "spikes") {
+    if (userData.hazardHitCycle === state.cycle) return null;
+    userData.hazardHitCycle = state.cycle;
+  }
+  return userData.hazard;
+}
+
+/**
+ * Add a hazard platform's telegraph to it and start running its cycle
+ * The visual undoes the platform's scale, so its parts are sized in world units
+ * @param {THREE.Mesh} platform - A platform with userData.hazard set
+ */
+export function addHazardTelegraph(platform) {
+  const { hazard, width, depth, isRoundPlatform } = platform.userData;
+  const settings = HAZARDS.variants[hazard];
+
+  const visual = new THREE.Group();
+  visual.position.y = 0.5; // Top of the unit platform
+  visual.scale.set(
+    1 / platform.scale.x,
+    1 / platform.scale.y,
+    1 / platform.scale.z
+  );
+
+  const parts = {};
+  switch (hazard) {
+    case "electric": {
+      parts.plate = new THREE.Mesh(
+        isRoundPlatform
+          ? getSharedGeometry("platform-cylinder", () => new THREE.CylinderGeometry(1, 1, 1, 32))
+          : getSharedGeometry("platform-box", () => new THREE.BoxGeometry(1, 1, 1)),
+        getHazardMaterial(hazard, "idle")
+      );
+      parts.plate.scale.set(
+        isRoundPlatform ? width * 0.45 : width * 0.9,
+        0.04,
+        isRoundPlatform ? depth * 0.45 : depth * 0.9
+      );
+      parts.plate.position.y = 0.02;
+      visual.add(parts.plate);
+      break;
+    }
+    case "spikes": {
+      const spots = [];
+      const columns = Math.max(1, Math.floor(width / settings.spikeSpacing));
+      const rows = Math.max(1, Math.floor(depth / settings.spikeSpacing));
+      for (let i = 0; i < columns; i++) {
+        for (let j = 0; j < rows; j++) {
+          const x = (i + 0.5) * (width / columns) - width / 2;
+          const z = (j + 0.5) * (depth / rows) - depth / 2;
+          if (isRoundPlatform && Math.hypot(x, z) > width / 2 - 0.3) continue;
+          spots.push([x, z]);
+        }
+      }
+
+      parts.spikes = new THREE.InstancedMesh(
+        getSharedGeometry("hazard-spike", () =>
+          new THREE.ConeGeometry(0.22, 1, 6).translate(0, 0.5, 0)
+        ),
+        getHazardMaterial(hazard, "active"),
+        spots.length
+      );
+      const matrix = new THREE.Matrix4();
+      spots.forEach(([x, z], index) => {
+        matrix.makeScale(1, settings.spikeHeight, 1).setPosition(x, 0, z);
+        parts.spikes.setMatrixAt(index, matrix);
+      });
+      parts.spikes.frustumCulled = false;
+      visual.add(parts.spikes);
+      break;
+    }
+    case "vent": {
+      const radius = Math.min(width, depth) * 0.3;
+      parts.grate = new THREE.Mesh(
+        getSharedGeometry("platform-cylinder", () => new THREE.CylinderGeometry(1, 1, 1, 32)),
+        getHazardMaterial(hazard, "idle")
+      );
+      parts.grate.scale.set(radius, 0.05, radius);
+      parts.grate.position.y = 0.025;
+      parts.plume = new THREE.Mesh(
+        getSharedGeometry("hazard-plume", () =>
+          new THREE.CylinderGeometry(0.6, 1, 1, 16, 1, true).translate(0, 0.5, 0)
+        ),
+        getHazardMaterial(hazard, "plume")
+      );
+      parts.plume.scale.set(radius, 1, radius);
+      parts.plume.visible = false;
+      visual.add(parts.grate, parts.plume);
+      parts.radius = radius;
+      break;
+    }
+  }
+
+  platform.add(visual);
+  platform.userData.hazardVisual = parts;
+  platform.userData.hazardPhase = null;
+  hazardPlatforms.push(platform);
+  showHazardState(platform, getHazardState(platform));
+}
+
+/**
+ * Get the shared material for one look of a hazard
+ * @param {string} hazard - The variant
+ * @param {string} look - "idle", "telegraph", "active" or "plume"
+ * @returns {THREE.Material} The shared material
+ */
+function getHazardMaterial(hazard, look) {
+  const settings = HAZARDS.variants[hazard];
+  return getSharedMaterial(`hazard:${hazard}:${look}`, () => {
+    switch (look) {
+      case "idle":
+        return new THREE.MeshBasicMaterial({
+          color: 0x1d3557,
+          transparent: true,
+          opacity: 0.6,
+        });
+      case "telegraph":
+        return new THREE.MeshBasicMaterial({
+          color: settings.color,
+          transparent: true,
+          opacity: 0.5,
+        });
+      case "plume":
+        return new THREE.MeshBasicMaterial({
+          color: settings.color,
+          transparent: true,
+          opacity: 0.45,
+          depthWrite: false,
+          side: THREE.DoubleSide,
+        });
+      default:
+        return new THREE.MeshStandardMaterial({
+          color: settings.color,
+          emissive: settings.color,
+          emissiveIntensity: 0.6,
+          metalness: 0.5,
+          roughness: 0.3,
+        });
+    }
+  });
+}
+
+/**
+ * Pose a hazard's telegraph for where it is in its cycle
+ * @param {THREE.Mesh} platform - The hazard platform
+ * @param {Object} state - From getHazardState
+ */
+function showHazardState(platform, state) {
+  const { hazard, hazardVisual: parts } = platform.userData;
+  const settings = HAZARDS.variants[hazard];
+  const { phase, progress } = state;
+  const now = getGameTime();
+
+  switch (hazard) {
+    case "electric": {
+      // Flickers faster as it nears going live, then crackles
+      let look = "idle";
+      if (phase === "telegraph") {
+        look = Math.sin(now * (10 + 50 * progress)) > 0 ? "telegraph" : "idle";
+      } else if (phase === "active") {
+        look = Math.sin(now * 90) > -0.3 ? "active" : "telegraph";
+      }
+      parts.plate.material = getHazardMaterial(hazard, look);
+      break;
+    }
+    case "spikes": {
+      // Hidden in the platform, peeking out, then standing up fast
+      let height = 0;
+      if (phase === "telegraph") {
+        height = 0.3 * Math.min(progress * 3, 1) + 0.05 * Math.sin(now * 40);
+      } else if (phase === "active") {
+        height = 0.3 + 0.7 * Math.min(progress * 6, 1);
+      }
+      parts.spikes.visible = phase !== "idle";
+      parts.spikes.position.y = (height - 1) * settings.spikeHeight;
+      break;
+    }
+    case "vent": {
+      // Grate glows and puffs while it builds up, then a full plume
+      parts.grate.material = getHazardMaterial(
+        hazard,
+        phase === "idle" ? "idle" : "telegraph"
+      );
+      parts.plume.visible = phase !== "idle";
+      if (phase === "telegraph") {
+        parts.plume.scale.y = 0.2 + progress + 0.3 * Math.abs(Math.sin(now * 12));
+      } else if (phase === "active") {
+        parts.plume.scale.y = settings.plumeHeight * Math.min(progress * 4, 1);
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Move every hazard through its cycle, sounding each telegraph and hit
+ * @param {THREE.Vector3} ballPosition - Where the ball is, for how loud cues play
+ */
+export function updateHazards(ballPosition) {
+  hazardPlatforms = hazardPlatforms.filter((platform) => platform.parent);
+  hazardPlatforms.forEach((platform) => {
+    const { userData } = platform;
+    const state = getHazardState(platform);
+
+    if (state.phase !== userData.hazardPhase) {
+      userData.hazardPhase = state.phase;
+      const cue = HAZARD_CUES[userData.hazard][state.phase];
+      if (cue && platform.visible) {
+        playCue(cue, platform.position.distanceTo(ballPosition));
+      }
+    }
+    showHazardState(platform, state);
+  });
+}
+
+/**
+ * Forget every hazard platform, for a new run
+ */
+export function resetHazards() {
+  hazardPlatforms = [];
+}
@@ -0,0 +1,157 @@
+/**
+ * Lanes System
+ * Picks the lane of the next platform from the lane transition tables
+ */
+
+import {
+  PLATFORM_TYPES,
+  LANE_TRANSITIONS,
+  LANE_TABLE_OVERRIDES,
+} from "../config.js";
+import { randomFloat } from "../utils/rng.js";
+import { getLevelTheme } from "./level-rules.js";
+
+// Rows may be off by rounding, but no more than this
+const ROW_SUM_TOLERANCE = 1e-6;
+
+// Validated tables by name (null when a table failed validation)
+const checkedTables = {};
+
+/**
+ * Check a lane transition table
+ * @param {Object} table - Rows of lane -> probability maps
+ * @returns {Array<string>} Problems found (empty when the table is valid)
+ */
+export function validateLaneTable(table) {
+  const errors = [];
+
+  if (!table || typeof table !== "object") {
+    return ["table is missing"];
+  }
+
+  PLATFORM_TYPES.forEach((lane) => {
+    const row = table[lane];
+    if (!row) {
+      errors.push(`no row for lane "${lane}"`);
+      return;
+    }
+
+    let sum = 0;
+    Object.entries(row).forEach(([target, probability]) => {
+      if (!PLATFORM_TYPES.includes(target)) {
+        errors.push(`"${lane}" leads to unknown lane "${target}"`);
+      }
+      if (typeof probability !== "number" || probability < 0) {
+        errors.push(`"${lane}" -> "${target}" has invalid probability ${probability}`);
+        return;
+      }
+      sum += probability;
+    });
+
+    if (Math.abs(sum - 1) > ROW_SUM_TOLERANCE) {
+      errors.push(`row "${lane}" sums to ${sum.toFixed(3)} instead of 1`);
+    }
+  });
+
+  if (errors.length > 0) return errors;
+
+  // A lane is a dead end if the course can never get back to the centre from it
+  PLATFORM_TYPES.forEach((lane) => {
+    if (!canReachLane(table, lane, "center")) {
+      errors.push(`lane "${lane}" is a dead end (never returns to "center")`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check whether one lane can eventually lead to another
+ * @param {Object} table - Lane transition table
+ * @param {string} from - Starting lane
+ * @param {string} to - Lane to reach
+ * @returns {boolean} Whether "to" can be reached
+ */
+function canReachLane(table, from, to) {
+  const visited = new Set([from]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const lane = queue.shift();
+    if (lane === to) return true;
+
+    Object.entries(table[lane]).forEach(([target, probability]) => {
+      if (probability > 0 && !visited.has(target)) {
+        visited.add(target);
+        queue.push(target);
+      }
+    });
+  }
+
+  return false;
+}
+
+/**
+ * Get a validated lane table by name
+ * @param {string} name - Key in LANE_TRANSITIONS
+ * @returns {Object|null} The table, or null if it is missing or invalid
+ */
+function getCheckedTable(name) {
+  if (!(name in checkedTables)) {
+    const errors = validateLaneTable(LANE_TRANSITIONS[name]);
+    if (errors.length > 0) {
+      console.error(`Invalid lane table "${name}":\n  ${errors.join("\n  ")}`);
+      checkedTables[name] = null;
+    } else {
+      checkedTables[name] = LANE_TRANSITIONS[name];
+    }
+  }
+  return checkedTables[name];
+}
+
+/**
+ * Get the name of the lane table a level uses
+ * @param {number} level - Current level
+ * @returns {string} Key in LANE_TRANSITIONS
+ */
+export function getLaneTableName(level) {
+  if (LANE_TABLE_OVERRIDES.levels[level]) {
+    return LANE_TABLE_OVERRIDES.levels[level];
+  }
+
+  const biome = getLevelTheme(level);
+  return LANE_TABLE_OVERRIDES.biomes[biome] || "default";
+}
+
+/**
+ * Get the lane table for a level, falling back to the default if it is invalid
+ * @param {number} level - Current level
+ * @returns {Object|null} The lane table
+ */
+export function getLaneTable(level) {
+  const name = getLaneTableName(level);
+  return getCheckedTable(name) || getCheckedTable("default");
+}
+
+/**
+ * Pick the lane of the next platform
+ * @param {string} lastLane - Lane of the previous platform
+ * @param {number} level - Current level
+ * @returns {string} The next lane
+ */
+export function pickNextLane(lastLane, level = 1) {
+  const table = getLaneTable(level);
+  const row = table && (table[lastLane] || table.center);
+  if (!row) return "center";
+
+  const rand = randomFloat();
+  const targets = Object.entries(row);
+  let cumulative = 0;
+  for (const [target, probability] of targets) {
+    cumulative += probability;
+    if (rand < cumulative) return target;
+  }
+
+  // Rounding left a sliver at the top, use the last lane
+  return targets[targets.length - 1][0];
+}
@@ -0,0 +1,399 @@
+/**
+ * Level Files System
+ * Loads and validates hand-authored levels and set-pieces
+ *
+ * A level file is JSON:
+ * {
+ *   "name": "Switchbacks",
+ *   "platforms": [
+ *     {
+ *       "position": { "x": 0, "y": -2, "z": -12 },
+ *       "size": { "width": 8, "depth": 10 },
+ *       "challengeType": "regular",
+ *       "bounceEffect": null,
+ *       "movementType": null,
+ *       "gravityDirection": "down",
+ *       "collision": "solid"
+ *     }
+ *   ],
+ *   "powerUps": [{ "type": "extraJump", "position": { "x": 0, "y": 1, "z": -12 } }],
+ *   "rescueTargets": [{ "position": { "x": 0, "y": 0.8, "z": -24 } }]
+ * }
+ *
+ * Positions are relative to where the layout is placed (the front edge of the
+ * previous platform): x along the side axis, y along the support normal and z
+ * along the course, so forward is negative z. A platform may set
+ * "redFlag": true and a round platform may use "size": { "radius": 6 }
+ * instead of width and depth (round platforms lie flat, so the ball lands
+ * anywhere on the disc). "collision" is "solid" (the default, blocks from
+ * every side) or "oneWay" (can be jumped through from below).
+ * A "conveyor" platform may set "conveyor": { "axis": "side", "speed": 0.05 }
+ * with "axis" "side" or "z" and a speed signed along that axis (units per
+ * frame, so -0.05 along z carries the ball forward); it defaults to a slow
+ * forward belt.
+ * "surface" is "normal" (the default), "ice", "mud" or "rubber".
+ * A platform without "gravityDirection" belongs to whichever direction the
+ * course is generating in when the layout is placed.
+ * A platform with "movementType": "path" may set "path": { "mode": "pingPong"
+ * or "loop", "waypoints": [{ "side": 0, "normal": 0, "z": 0, "pause": 0.5,
+ * "ease": "easeInOut" }] }, with waypoints as offsets from its position,
+ * pauses in seconds and each waypoint's easing used on the segment leaving
+ * it; it defaults to a short side-to-side arc.
+ * A level may set "crumbling": { "warningTime": 0.8, "respawnDelay": 4 } to
+ * tune its crumbling platforms (seconds; a respawnDelay of null, the default
+ * outside the editor, keeps them gone).
+ * A "hazard" platform may set "hazard" to "electric" (the default), "spikes"
+ * or "vent", and a level may set "hazards": { "cycleScale": 0.8 } to speed
+ * up (below 1) or slow down (above 1) every hazard's cycle.
+ * A still, plain platform may set "checkpoint": true to flag it as a
+ * checkpoint the ball respawns on after a fall.
+ */
+
+import {
+  LEVEL_FILES,
+  PLATFORM_TYPES,
+  PLATFORM_MOVEMENT,
+  PLATFORM_COLLISION,
+  SURFACE_MATERIALS,
+  HAZARDS,
+} from "../config.js";
+import { GRAVITY_DIRECTIONS } from "./gravity.js";
+import { checkPath } from "./paths.js";
+import { randomFloat } from "../utils/rng.js";
+
+const CHALLENGE_TYPES = ["regular", "precision", "crumbling", "hazard", "conveyor"];
+const CONVEYOR_AXES = ["side", "z"];
+const SURFACES = Object.keys(SURFACE_MATERIALS);
+const BOUNCE_EFFECTS = [null, "forward", "backward"];
+const POWER_UP_TYPES = ["extraJump", "jetpack", "SOS"];
+const HAZARD_VARIANTS = Object.keys(HAZARDS.variants);
+
+// Loaded files by path (only files that passed validation)
+const loadedFiles = {};
+// Level file requested with ?level=, played as level 1
+let urlLevelFile = null;
+// Course being play-tested from the editor, played as level 1
+let customLevel = null;
+
+/**
+ * Check that a value is a finite number
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether it is a finite number
+ */
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Check a position object
+ * @param {*} position - The position to check
+ * @param {string} path - Where the position is in the file, for error messages
+ * @param {Array<string>} errors - Problems found so far
+ */
+function checkPosition(position, path, errors) {
+  if (!position || typeof position !== "object") {
+    errors.push(`${path}: position {x, y, z} is required`);
+    return;
+  }
+  ["x", "y", "z"].forEach((axis) => {
+    if (!isNumber(position[axis])) {
+      errors.push(`${path}.${axis} must be a number (got ${JSON.stringify(position[axis])})`);
+    }
+  });
+}
+
+/**
+ * Check one platform entry
+ * @param {Object} platform - The platform entry
+ * @param {string} path - Where the entry is in the file
+ * @param {Array<string>} errors - Problems found so far
+ */
+function checkPlatform(platform, path, errors) {
+  if (!platform || typeof platform !== "object") {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  checkPosition(platform.position, `${path}.position`, errors);
+
+  const size = platform.size;
+  if (size !== undefined && (!size || typeof size !== "object")) {
+    errors.push(`${path}.size must be an object`);
+  } else if (size && size.radius !== undefined) {
+    if (!isNumber(size.radius) || size.radius <= 0) {
+      errors.push(`${path}.size.radius must be a positive number`);
+    }
+  } else if (size || !platform.redFlag) {
+    ["width", "depth"].forEach((dimension) => {
+      const value = size ? size[dimension] : undefined;
+      if (!isNumber(value) || value <= 0) {
+        errors.push(`${path}.size.${dimension} must be a positive number (got ${JSON.stringify(value)})`);
+      }
+    });
+  }
+
+  const challengeType = platform.challengeType ?? "regular";
+  if (!CHALLENGE_TYPES.includes(challengeType)) {
+    errors.push(`${path}.challengeType "${challengeType}" is not one of ${CHALLENGE_TYPES.join(", ")}`);
+  }
+
+  const bounceEffect = platform.bounceEffect ?? null;
+  if (!BOUNCE_EFFECTS.includes(bounceEffect)) {
+    errors.push(`${path}.bounceEffect "${bounceEffect}" must be "forward", "backward" or null`);
+  }
+
+  const movementType = platform.movementType ?? null;
+  if (movementType !== null && !PLATFORM_MOVEMENT.types.includes(movementType)) {
+    errors.push(`${path}.movementType "${movementType}" is not one of ${PLATFORM_MOVEMENT.types.join(", ")}`);
+  }
+
+  const surface = platform.surface ?? "normal";
+  if (!SURFACES.includes(surface)) {
+    errors.push(`${path}.surface "${surface}" is not one of ${SURFACES.join(", ")}`);
+  }
+
+  const gravityDirection = platform.gravityDirection ?? "down";
+  if (!GRAVITY_DIRECTIONS.includes(gravityDirection)) {
+    errors.push(`${path}.gravityDirection "${gravityDirection}" is not one of ${GRAVITY_DIRECTIONS.join(", ")}`);
+  }
+
+  // Same rules the generator follows
+  if (bounceEffect && movementType) {
+    errors.push(`${path}: trampolines can't move (remove bounceEffect or movementType)`);
+  }
+  if (bounceEffect && challengeType !== "regular") {
+    errors.push(`${path}: trampolines must use challengeType "regular"`);
+  }
+  if (bounceEffect && surface !== "normal") {
+    errors.push(`${path}: trampolines can't have a surface material (remove bounceEffect or surface)`);
+  }
+
+  if (platform.conveyor !== undefined) {
+    const conveyor = platform.conveyor;
+    if (challengeType !== "conveyor") {
+      errors.push(`${path}.conveyor only applies to challengeType "conveyor"`);
+    } else if (!conveyor || typeof conveyor !== "object") {
+      errors.push(`${path}.conveyor must be an object like { "axis": "z", "speed": -0.05 }`);
+    } else {
+      if (!CONVEYOR_AXES.includes(conveyor.axis)) {
+        errors.push(`${path}.conveyor.axis "${conveyor.axis}" is not one of ${CONVEYOR_AXES.join(", ")}`);
+      }
+      if (!isNumber(conveyor.speed)) {
+        errors.push(`${path}.conveyor.speed must be a number (got ${JSON.stringify(conveyor.speed)})`);
+      }
+    }
+  }
+
+  if (platform.hazard !== undefined) {
+    if (challengeType !== "hazard") {
+      errors.push(`${path}.hazard only applies to challengeType "hazard"`);
+    } else if (!HAZARD_VARIANTS.includes(platform.hazard)) {
+      errors.push(`${path}.hazard "${platform.hazard}" is not one of ${HAZARD_VARIANTS.join(", ")}`);
+    }
+  }
+
+  if (platform.checkpoint !== undefined) {
+    if (typeof platform.checkpoint !== "boolean") {
+      errors.push(`${path}.checkpoint must be true or false (got ${JSON.stringify(platform.checkpoint)})`);
+    } else if (
+      platform.checkpoint &&
+      (movementType || bounceEffect || challengeType !== "regular")
+    ) {
+      errors.push(`${path}: checkpoints must be still, plain platforms (remove movementType, bounceEffect or challengeType)`);
+    }
+  }
+
+  if (platform.path !== undefined) {
+    if (movementType !== "path") {
+      errors.push(`${path}.path only applies to movementType "path"`);
+    } else {
+      checkPath(platform.path, `${path}.path`, errors);
+    }
+  }
+
+  if (
+    platform.collision !== undefined &&
+    !PLATFORM_COLLISION.modes.includes(platform.collision)
+  ) {
+    errors.push(`${path}.collision "${platform.collision}" is not one of ${PLATFORM_COLLISION.modes.join(", ")}`);
+  }
+
+  if (platform.lane !== undefined && !PLATFORM_TYPES.includes(platform.lane)) {
+    errors.push(`${path}.lane "${platform.lane}" is not one of ${PLATFORM_TYPES.join(", ")}`);
+  }
+}
+
+/**
+ * Validate parsed level data
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<string>} Problems found (empty when the level is valid)
+ */
+export function validateLevelData(data) {
+  const errors = [];
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return ["level must be a JSON object"];
+  }
+
+  if (!Array.isArray(data.platforms) || data.platforms.length === 0) {
+    errors.push("platforms must be a non-empty array");
+  } else {
+    data.platforms.forEach((platform, index) =>
+      checkPlatform(platform, `platforms[${index}]`, errors)
+    );
+  }
+
+  if (data.crumbling !== undefined) {
+    const crumbling = data.crumbling;
+    if (!crumbling || typeof crumbling !== "object") {
+      errors.push('crumbling must be an object like { "warningTime": 0.8, "respawnDelay": 4 }');
+    } else {
+      if (
+        crumbling.warningTime !== undefined &&
+        (!isNumber(crumbling.warningTime) || crumbling.warningTime <= 0)
+      ) {
+        errors.push(`crumbling.warningTime must be a positive number (got ${JSON.stringify(crumbling.warningTime)})`);
+      }
+      if (
+        crumbling.respawnDelay !== undefined &&
+        crumbling.respawnDelay !== null &&
+        (!isNumber(crumbling.respawnDelay) || crumbling.respawnDelay <= 0)
+      ) {
+        errors.push(`crumbling.respawnDelay must be a positive number or null (got ${JSON.stringify(crumbling.respawnDelay)})`);
+      }
+    }
+  }
+
+  if (data.hazards !== undefined) {
+    const hazards = data.hazards;
+    if (!hazards || typeof hazards !== "object") {
+      errors.push('hazards must be an object like { "cycleScale": 0.8 }');
+    } else if (
+      hazards.cycleScale !== undefined &&
+      (!isNumber(hazards.cycleScale) || hazards.cycleScale <= 0)
+    ) {
+      errors.push(`hazards.cycleScale must be a positive number (got ${JSON.stringify(hazards.cycleScale)})`);
+    }
+  }
+
+  if (data.powerUps !== undefined) {
+    if (!Array.isArray(data.powerUps)) {
+      errors.push("powerUps must be an array");
+    } else {
+      data.powerUps.forEach((powerUp, index) => {
+        const path = `powerUps[${index}]`;
+        if (!powerUp || !POWER_UP_TYPES.includes(powerUp.type)) {
+          errors.push(`${path}.type must be one of ${POWER_UP_TYPES.join(", ")}`);
+        }
+        checkPosition(powerUp && powerUp.position, `${path}.position`, errors);
+      });
+    }
+  }
+
+  if (data.rescueTargets !== undefined) {
+    if (!Array.isArray(data.rescueTargets)) {
+      errors.push("rescueTargets must be an array");
+    } else {
+      data.rescueTargets.forEach((target, index) =>
+        checkPosition(target && target.position, `rescueTargets[${index}].position`, errors)
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate level data and throw if it is broken
+ * @param {Object} data - Parsed JSON
+ * @param {string} source - File name, for the error message
+ * @returns {Object} The same data
+ * @throws {Error} Listing every bad entry (also available as error.errors)
+ */
+export function parseLevelData(data, source = "level") {
+  const errors = validateLevelData(data);
+  if (errors.length > 0) {
+    const error = new Error(
+      `Invalid level file "${source}" (${errors.length} problem${
+        errors.length === 1 ? "" : "s"
+      }):\n  - ${errors.join("\n  - ")}`
+    );
+    error.errors = errors;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Fetch, parse and validate a level file
+ * @param {string} path - Path of the JSON file
+ * @returns {Promise<Object>} The level data
+ */
+export async function loadLevelFile(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Could not load level file "${path}" (HTTP ${response.status})`);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new Error(`Level file "${path}" is not valid JSON: ${error.message}`);
+  }
+
+  loadedFiles[path] = parseLevelData(data, path);
+  return loadedFiles[path];
+}
+
+/**
+ * Load every configured level and set-piece (plus ?level=) in the background
+ * Files that fail are logged and the game falls back to generated platforms
+ * @returns {Promise<void>} Resolves once every file has loaded or failed
+ */
+export function preloadLevelFiles() {
+  urlLevelFile = new URLSearchParams(window.location.search).get("level");
+
+  const paths = new Set([
+    ...Object.values(LEVEL_FILES.levels),
+    ...LEVEL_FILES.setPieces,
+  ]);
+  if (urlLevelFile) paths.add(urlLevelFile);
+
+  return Promise.all(
+    [...paths].map((path) =>
+      loadLevelFile(path).catch((error) => console.error(error.message))
+    )
+  ).then(() => undefined);
+}
+
+/**
+ * Get the hand-authored layout for a level, if it has one and it loaded
+ * @param {number} level - Level number
+ * @returns {Object|null} The level data
+ */
+export function getLevelData(level) {
+  if (level === 1 && customLevel) return customLevel;
+
+  const path =
+    level === 1 && urlLevelFile ? urlLevelFile : LEVEL_FILES.levels[level];
+  return (path && loadedFiles[path]) || null;
+}
+
+/**
+ * Play a course from the editor as level 1 (null to go back to normal levels)
+ * @param {Object|null} data - Validated level data
+ */
+export function setCustomLevel(data) {
+  customLevel = data;
+}
+
+/**
+ * Pick a loaded set-piece at random (course stream, so seeds replay it)
+ * @returns {Object|null} The set-piece data, or null if none loaded
+ */
+export function pickSetPiece() {
+  const available = LEVEL_FILES.setPieces.filter((path) => loadedFiles[path]);
+  if (available.length === 0) return null;
+  return loadedFiles[available[Math.floor(randomFloat() * available.length)]];
+}
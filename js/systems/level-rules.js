@@ -0,0 +1,214 @@
+/**
+ * Level Rules System
+ * Works out what a level is like from the LEVEL_RULES table
+ *
+ * Platform generation, power-up spawning, the speed ramp and the background
+ * all ask here rather than testing level numbers themselves, so a level's
+ * flavor lives in config.js and both the opening course and every level
+ * generated after it follow the same rules.
+ */
+
+import {
+  LEVEL_RULES,
+  BACKGROUND_COLORS,
+  PLATFORM_MOVEMENT,
+  DIRECTOR,
+} from "../config.js";
+import { getDifficultyScale } from "./director.js";
+
+// Rule keys that pick levels rather than set anything
+const MATCH_KEYS = ["from", "to", "every", "at"];
+// Power-ups a level's mix may name
+const POWER_UP_TYPES = ["extraJump", "jetpack", "SOS"];
+// Challenge the director makes more or less common (DIRECTOR.hazardFrequency)
+const DIRECTED_CHALLENGE = "hazard";
+
+// Resolved rules by level (every level reads them many times)
+const resolvedRules = new Map();
+
+/**
+ * Check whether a rule applies to a level
+ * @param {Object} rule - Entry of LEVEL_RULES.rules
+ * @param {number} level - Level number
+ * @returns {boolean} Whether it matches
+ */
+function matchesLevel(rule, level) {
+  if (rule.from !== undefined && level < rule.from) return false;
+  if (rule.to !== undefined && level > rule.to) return false;
+  if (rule.every !== undefined) {
+    const at = rule.at || 0;
+    return level >= at && (level - at) % rule.every === 0;
+  }
+  return true;
+}
+
+/**
+ * Apply a rule's settings on top of a level's rules so far
+ * @param {Object} rules - Rules so far
+ * @param {Object} rule - Entry of LEVEL_RULES.rules
+ * @returns {Object} The combined rules
+ */
+function applyRule(rules, rule) {
+  const combined = { ...rules };
+  Object.entries(rule).forEach(([key, value]) => {
+    if (MATCH_KEYS.includes(key)) return;
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    combined[key] = isObject ? { ...rules[key], ...value } : value;
+  });
+  return combined;
+}
+
+/**
+ * Check a level's resolved rules
+ * @param {Object} rules - Rules from LEVEL_RULES.base with any matching rules applied
+ * @returns {Array<string>} Problems found (empty when the rules are valid)
+ */
+export function validateLevelRules(rules) {
+  const errors = [];
+  const isChance = (value) => typeof value === "number" && value >= 0 && value <= 1;
+
+  Object.keys(rules).forEach((key) => {
+    if (!(key in LEVEL_RULES.base)) errors.push(`unknown setting "${key}"`);
+  });
+
+  const { platformCount, platformMix, challenges, challengeRamp, speed, powerUps } =
+    rules;
+  if (
+    !(platformCount.base >= 1) ||
+    !(platformCount.step >= 0) ||
+    !(platformCount.every >= 1)
+  ) {
+    errors.push("platformCount needs base >= 1, step >= 0 and every >= 1");
+  }
+
+  Object.entries(platformMix).forEach(([kind, chance]) => {
+    if (!isChance(chance)) errors.push(`platformMix.${kind} must be between 0 and 1`);
+  });
+  if (platformMix.forwardTrampoline + platformMix.backwardTrampoline > 1) {
+    errors.push("platformMix trampolines add up to more than 1");
+  }
+
+  if (!isChance(rules.movingChance)) {
+    errors.push("movingChance must be between 0 and 1");
+  }
+  if (rules.movementTypes !== null) {
+    if (!Array.isArray(rules.movementTypes) || rules.movementTypes.length === 0) {
+      errors.push("movementTypes must be null or a list of movement types");
+    } else {
+      rules.movementTypes
+        .filter((type) => !PLATFORM_MOVEMENT.types.includes(type))
+        .forEach((type) => errors.push(`unknown movement type "${type}"`));
+    }
+  }
+
+  // Ramps are capped, and so is the director's scaling, so the most the
+  // challenges can take up is known
+  const hardestHazardScale = Math.max(
+    DIRECTOR.hazardFrequency.easiest,
+    DIRECTOR.hazardFrequency.hardest
+  );
+  let challengeTotal = 0;
+  Object.entries(challenges).forEach(([challenge, chance]) => {
+    if (!isChance(chance)) errors.push(`challenges.${challenge} must be between 0 and 1`);
+    const most = chance + (challengeRamp[challenge] ? rules.maxRamp : 0);
+    challengeTotal += challenge === DIRECTED_CHALLENGE ? most * hardestHazardScale : most;
+  });
+  Object.keys(challengeRamp).forEach((challenge) => {
+    if (!(challenge in challenges)) {
+      errors.push(`challengeRamp names unknown challenge "${challenge}"`);
+    }
+  });
+  if (challengeTotal > 1) {
+    errors.push(`challenges can add up to ${challengeTotal.toFixed(3)}, more than 1`);
+  }
+
+  if (!(speed.min > 0) || !(speed.max >= speed.min)) {
+    errors.push("speed needs 0 < min <= max");
+  }
+
+  ["spawnChance", "burstChance", "sosChance"].forEach((key) => {
+    if (!isChance(powerUps[key])) errors.push(`powerUps.${key} must be between 0 and 1`);
+  });
+  let mixTotal = 0;
+  Object.entries(powerUps.mix).forEach(([type, weight]) => {
+    if (!POWER_UP_TYPES.includes(type)) {
+      errors.push(`powerUps.mix names unknown power-up "${type}"`);
+    }
+    if (!(weight >= 0)) errors.push(`powerUps.mix.${type} must not be negative`);
+    mixTotal += weight;
+  });
+  if (!(mixTotal > 0)) errors.push("powerUps.mix has no weight");
+
+  if (
+    rules.background !== null &&
+    !(
+      Number.isInteger(rules.background) &&
+      BACKGROUND_COLORS[rules.background] !== undefined
+    )
+  ) {
+    errors.push("background must be null or a BACKGROUND_COLORS index");
+  }
+
+  return errors;
+}
+
+/**
+ * Get the rules for a level, falling back to the base rules if they are invalid
+ * @param {number} level - Level number
+ * @returns {Object} Settings shaped like LEVEL_RULES.base
+ */
+export function getLevelRules(level = 1) {
+  if (!resolvedRules.has(level)) {
+    const rules = LEVEL_RULES.rules
+      .filter((rule) => matchesLevel(rule, level))
+      .reduce(applyRule, LEVEL_RULES.base);
+
+    const errors = validateLevelRules(rules);
+    if (errors.length > 0) {
+      console.error(`Invalid level rules for level ${level}:\n  ${errors.join("\n  ")}`);
+      resolvedRules.set(level, LEVEL_RULES.base);
+    } else {
+      resolvedRules.set(level, rules);
+    }
+  }
+  return resolvedRules.get(level);
+}
+
+/**
+ * Get how many platforms to generate for a level
+ * @param {number} level - Level number
+ * @returns {number} Platform count
+ */
+export function getLevelPlatformCount(level = 1) {
+  const { base, step, every } = getLevelRules(level).platformCount;
+  return base + Math.floor(level / every) * step;
+}
+
+/**
+ * Get a level's chance of each challenge, with its per-level ramp applied
+ * and hazards scaled by the director
+ * @param {number} level - Level number
+ * @returns {Object} Challenge -> chance, in the order they are rolled
+ */
+export function getChallengeChances(level = 1) {
+  const { challenges, challengeRamp, maxRamp } = getLevelRules(level);
+  const chances = {};
+  Object.entries(challenges).forEach(([challenge, chance]) => {
+    const ramp = challengeRamp[challenge] || 0;
+    chances[challenge] = chance + Math.min(maxRamp, level * ramp);
+  });
+  if (chances[DIRECTED_CHALLENGE] !== undefined) {
+    chances[DIRECTED_CHALLENGE] *= getDifficultyScale("hazardFrequency");
+  }
+  return chances;
+}
+
+/**
+ * Get the background a level uses
+ * @param {number} level - Level number
+ * @returns {number} BACKGROUND_COLORS index
+ */
+export function getLevelTheme(level = 1) {
+  const { background } = getLevelRules(level);
+  return background !== null ? background : (level - 1) % BACKGROUND_COLORS.length;
+}
@@ -3,10 +3,48 @@
  * Handles level generation, progression, and management
  */
 
-import { GAME_SETTINGS, BACKGROUND_COLORS } from "../config.js";
-import { generateNewLevel } from "../entities/platform.js";
-import { getBall } from "../entities/ball.js";
+import THREE from "../utils/three-wrapper.js";
+import {
+  GAME_SETTINGS,
+  LEVEL_FILES,
+  GRAVITY_GATES,
+  TELEPORTERS,
+} from "../config.js";
+import {
+  generateNewLevel,
+  createPlatform,
+  createPlatformFromSpec,
+  getLastPlatformAnchor,
+  setLastPlatformState,
+  getGenerationGravityDirection,
+  turnGenerationGravity,
+  createTeleporterPair,
+} from "../entities/platform.js";
+import { getBall, syncPreviousBallPosition } from "../entities/ball.js";
+import { createPowerUp } from "../entities/powerup.js";
+import { placeRescueTarget } from "../entities/rescue-target.js";
+import { createGravityGate } from "../entities/gravity-gate.js";
 import { updateLevel } from "./ui.js";
+import {
+  getGravityConfig,
+  getNextGravityDirection,
+  getPositionAlong,
+  addScaledAxis,
+} from "./gravity.js";
+import { pickSetPiece } from "./level-files.js";
+import { getCrumbleTiming } from "./crumbling.js";
+import { getHazardTiming } from "./hazards.js";
+import { getDifficultyScale } from "./director.js";
+import { getLevelRules, getLevelTheme } from "./level-rules.js";
+import { clamp } from "../utils/helpers.js";
+import { randomFloat } from "../utils/rng.js";
+
+// Generated platforms since the last set-piece was spliced in
+let platformsSinceSetPiece = 0;
+// Generated platforms since the last gravity gate
+let platformsSinceGravityGate = 0;
+// Generated platforms since the last teleporter pair
+let platformsSinceTeleporter = 0;
 
 /**
  * Initialize a new level
@@ -21,8 +59,7 @@ export function initLevel(level, speed, scene, updateBackgroundColor) {
   updateLevel(level);
 
   // Change background color based on level
-  const backgroundColorIndex = (level - 1) % BACKGROUND_COLORS.length;
-  updateBackgroundColor(backgroundColorIndex);
+  updateBackgroundColor(getLevelTheme(level));
 
   return {
     level,
@@ -55,14 +92,14 @@ export function progressToNextLevel(
   const levelState = generateNewLevel(level, speed, scene);
 
   // Change background color based on level
-  const backgroundColorIndex = (level - 1) % BACKGROUND_COLORS.length;
-  updateBackgroundColor(backgroundColorIndex);
+  updateBackgroundColor(getLevelTheme(level));
 
   // Reset the ball's position to be above the first platform of the new level
   const ball = getBall();
   if (ball) {
     // Position the ball above the red flag platform (which is now the first platform)
     ball.position.set(0, 5, -15); // Slightly ahead of the red platform
+    syncPreviousBallPosition();
   }
 
   return {
@@ -103,14 +140,167 @@ export function checkLevelCompletion(
  * Update level difficulty based on score
  * @param {number} score - Current score
  * @param {number} speed - Current speed
+ * @param {number} level - Current level (its rules bound the ramp)
  * @returns {number} Updated speed
  */
-export function updateDifficulty(score, speed) {
-  const targetSpeed =
-    GAME_SETTINGS.initialSpeed + Math.min(0.17, score / 6500);
+export function updateDifficulty(score, speed, level = 1) {
+  const range = getLevelRules(level).speed;
+  const rampedSpeed = clamp(
+    GAME_SETTINGS.initialSpeed +
+      Math.min(
+        GAME_SETTINGS.speedRampAmount,
+        score / GAME_SETTINGS.speedRampDistance
+      ),
+    range.min,
+    range.max
+  );
+  // The director speeds this up or slows it down with how the player is doing
+  const targetSpeed = rampedSpeed * getDifficultyScale("speed");
 
   return Math.min(
     GAME_SETTINGS.maxSpeed,
     speed + (targetSpeed - speed) * 0.015
   );
 }
+
+/**
+ * Place a hand-authored layout after the last platform
+ * Generation then carries on from the far end of the layout
+ * @param {Object} data - Validated level data (see level-files.js)
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} options - {gravityDirection, includeRescueTargets, level}
+ * @returns {Array<THREE.Mesh>} The platforms that were created
+ */
+export function placeLevelLayout(data, scene, options = {}) {
+  const gravityDirection =
+    options.gravityDirection || getGenerationGravityDirection();
+  const gravityConfig = getGravityConfig(gravityDirection);
+  const anchor = getLastPlatformAnchor(gravityDirection);
+  const timing = {
+    crumbling: getCrumbleTiming(options.level, data.crumbling),
+    hazards: getHazardTiming(options.level, data.hazards),
+  };
+
+  // Entries without a gravity direction of their own follow the layout's
+  const created = data.platforms.map((entry) =>
+    createPlatformFromSpec({ gravityDirection, ...entry }, scene, anchor, timing)
+  );
+
+  // Power-ups and rescue targets use the layout's frame too
+  const toWorld = (position) => {
+    const world = new THREE.Vector3(anchor.x, anchor.y, anchor.z + position.z);
+    addScaledAxis(world, gravityConfig.side, position.x);
+    addScaledAxis(world, gravityConfig.normal, position.y);
+    return world;
+  };
+
+  (data.powerUps || []).forEach((powerUp) => {
+    const position = toWorld(powerUp.position);
+    createPowerUp(
+      powerUp.type,
+      position.x,
+      position.y,
+      position.z,
+      scene,
+      gravityDirection
+    );
+  });
+
+  if (options.includeRescueTargets) {
+    (data.rescueTargets || []).forEach((target) =>
+      placeRescueTarget(toWorld(target.position), scene, gravityDirection)
+    );
+  }
+
+  const furthest = created.reduce((best, platform) =>
+    platform.position.z < best.position.z ? platform : best
+  );
+  setLastPlatformState(
+    {
+      x: getPositionAlong(furthest.position, gravityConfig.side),
+      y: getPositionAlong(furthest.position, gravityConfig.normal),
+      z: furthest.position.z,
+    },
+    furthest.userData.type,
+    furthest
+  );
+
+  return created;
+}
+
+/**
+ * Maybe splice a set-piece into the course instead of the next generated platform
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} options - {gravityDirection, includeRescueTargets, level}
+ * @returns {boolean} Whether a set-piece was placed
+ */
+export function trySpliceSetPiece(scene, options = {}) {
+  platformsSinceSetPiece++;
+
+  if (platformsSinceSetPiece < LEVEL_FILES.setPieceSpacing) return false;
+  if (randomFloat() >= LEVEL_FILES.setPieceChance) return false;
+
+  const setPiece = pickSetPiece();
+  if (!setPiece) return false;
+
+  placeLevelLayout(setPiece, scene, options);
+  platformsSinceSetPiece = 0;
+  return true;
+}
+
+/**
+ * Maybe end this stretch of course with a gravity gate instead of the next
+ * generated platform: a wide, calm run-up, the gate, and a landing below it
+ * in the next gravity direction, where generation then carries on
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} level - Level the platforms are generated for
+ * @returns {boolean} Whether a gate was placed
+ */
+export function trySpliceGravityGate(scene, level) {
+  platformsSinceGravityGate++;
+
+  if (level < GRAVITY_GATES.firstLevel) return false;
+  if (platformsSinceGravityGate < GRAVITY_GATES.minPlatformsBetween) return false;
+  if (randomFloat() >= GRAVITY_GATES.chance) return false;
+
+  const fromDirection = getGenerationGravityDirection();
+  const toDirection = getNextGravityDirection(fromDirection);
+  createPlatform(false, scene, level, {
+    gravityDirection: fromDirection,
+    safe: true,
+  });
+  const crossing = turnGenerationGravity(toDirection, scene);
+  createGravityGate(crossing, fromDirection, toDirection, scene);
+
+  platformsSinceGravityGate = 0;
+  return true;
+}
+
+/**
+ * Maybe splice a teleporter pair into the course instead of the next
+ * generated platform: an entrance, then an exit further along or in a side
+ * lane, where generation then carries on
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} level - Level the platforms are generated for
+ * @returns {boolean} Whether a pair was placed
+ */
+export function trySpliceTeleporter(scene, level) {
+  platformsSinceTeleporter++;
+
+  if (level < TELEPORTERS.firstLevel) return false;
+  if (platformsSinceTeleporter < TELEPORTERS.minPlatformsBetween) return false;
+  if (randomFloat() >= TELEPORTERS.chance) return false;
+
+  createTeleporterPair(scene, level);
+  platformsSinceTeleporter = 0;
+  return true;
+}
+
+/**
+ * Reset set-piece, gravity gate and teleporter spacing for a new run
+ */
+export function resetSetPieces() {
+  platformsSinceSetPiece = 0;
+  platformsSinceGravityGate = 0;
+  platformsSinceTeleporter = 0;
+}
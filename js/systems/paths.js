@@ -0,0 +1,256 @@
+/**
+ * Paths System
+ * Waypoint paths for moving platforms: a Catmull-Rom spline through the
+ * waypoints, travelled at a steady speed with per-segment easing and pauses
+ *
+ * Waypoints are offsets from where the platform was placed, in its own frame
+ * ({ side, normal, z }), so a path moves the same way under any gravity.
+ * A "pingPong" path runs to the last waypoint and back; a "loop" path runs
+ * on from the last waypoint to the first.
+ */
+
+import { PLATFORM_MOVEMENT } from "../config.js";
+import { randomFloat } from "../utils/rng.js";
+
+const AXES = ["side", "normal", "z"];
+
+// Easing curves, each mapping 0..1 to 0..1
+const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+};
+
+/**
+ * Interpolate one axis of a Catmull-Rom segment
+ * @param {number} p0 - Point before the segment
+ * @param {number} p1 - Segment start
+ * @param {number} p2 - Segment end
+ * @param {number} p3 - Point after the segment
+ * @param {number} t - Point along the segment (0..1)
+ * @returns {number} The interpolated value
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return (
+    0.5 *
+    (2 * p1 +
+      (p2 - p0) * t +
+      (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+      (3 * p1 - p0 - 3 * p2 + p3) * t3)
+  );
+}
+
+/**
+ * Get a waypoint by index, wrapping for loops and clamping to the ends otherwise
+ * @param {Object} path - Prepared path
+ * @param {number} index - Waypoint index (may be out of range)
+ * @returns {Object} The waypoint
+ */
+function getWaypoint(path, index) {
+  const count = path.waypoints.length;
+  if (path.mode === "loop") return path.waypoints[(index + count) % count];
+  return path.waypoints[Math.max(0, Math.min(count - 1, index))];
+}
+
+/**
+ * Get a point on one segment of the spline
+ * @param {Object} path - Prepared path
+ * @param {number} segment - Segment index (from waypoint segment to segment + 1)
+ * @param {number} t - Point along the segment (0..1)
+ * @returns {Object} { side, normal, z } offset
+ */
+function getSegmentPoint(path, segment, t) {
+  const p0 = getWaypoint(path, segment - 1);
+  const p1 = getWaypoint(path, segment);
+  const p2 = getWaypoint(path, segment + 1);
+  const p3 = getWaypoint(path, segment + 2);
+
+  const point = {};
+  AXES.forEach((axis) => {
+    point[axis] = catmullRom(p0[axis], p1[axis], p2[axis], p3[axis], t);
+  });
+  return point;
+}
+
+/**
+ * Get the straight-line length of a segment, used to time it
+ * @param {Object} path - Prepared path
+ * @param {number} segment - Segment index
+ * @returns {number} Length in units
+ */
+function getSegmentLength(path, segment) {
+  const from = getWaypoint(path, segment);
+  const to = getWaypoint(path, segment + 1);
+  return Math.hypot(to.side - from.side, to.normal - from.normal, to.z - from.z);
+}
+
+/**
+ * Prepare a path for playback: fill in waypoint defaults and work out when
+ * each leg of the cycle starts
+ * @param {Object} path - { mode, waypoints: [{ side, normal, z, pause, ease }] }
+ * @returns {Object} Prepared path { mode, waypoints, legs, duration }
+ */
+export function preparePath(path) {
+  const settings = PLATFORM_MOVEMENT.path;
+  const prepared = {
+    mode: path.mode === "loop" ? "loop" : "pingPong",
+    waypoints: path.waypoints.map((waypoint) => ({
+      side: waypoint.side || 0,
+      normal: waypoint.normal || 0,
+      z: waypoint.z || 0,
+      pause: waypoint.pause || 0,
+      ease: EASINGS[waypoint.ease] ? waypoint.ease : "linear",
+    })),
+    legs: [],
+    duration: 0,
+  };
+
+  // A leg pauses at its first waypoint, then travels one segment; the easing
+  // belongs to the segment, so it is the same whichever way it is travelled
+  const addLeg = (segment, reverse, pause) => {
+    const travel = Math.max(
+      getSegmentLength(prepared, segment) / settings.speed,
+      settings.minSegmentTime
+    );
+    prepared.legs.push({
+      segment,
+      reverse,
+      start: prepared.duration,
+      pause,
+      travel,
+      ease: EASINGS[prepared.waypoints[segment].ease],
+    });
+    prepared.duration += pause + travel;
+  };
+
+  const last = prepared.waypoints.length - 1;
+  if (prepared.mode === "loop") {
+    for (let i = 0; i <= last; i++) addLeg(i, false, prepared.waypoints[i].pause);
+  } else {
+    for (let i = 0; i < last; i++) addLeg(i, false, prepared.waypoints[i].pause);
+    for (let i = last - 1; i >= 0; i--) addLeg(i, true, prepared.waypoints[i + 1].pause);
+  }
+
+  return prepared;
+}
+
+/**
+ * Get where a platform on a path is at a point in its cycle
+ * @param {Object} path - Prepared path
+ * @param {number} time - Seconds since the cycle started (any value, it wraps)
+ * @returns {Object} { side, normal, z } offset from the platform's original position
+ */
+export function getPathOffset(path, time) {
+  const cycleTime =
+    ((time % path.duration) + path.duration) % path.duration;
+
+  let leg = path.legs[path.legs.length - 1];
+  for (const candidate of path.legs) {
+    if (cycleTime < candidate.start + candidate.pause + candidate.travel) {
+      leg = candidate;
+      break;
+    }
+  }
+
+  const moving = Math.max(0, cycleTime - leg.start - leg.pause);
+  const eased = leg.ease(Math.min(moving / leg.travel, 1));
+  return getSegmentPoint(path, leg.segment, leg.reverse ? 1 - eased : eased);
+}
+
+/**
+ * Get points spread along the whole spline, for drawing it
+ * @param {Object} path - Prepared path
+ * @param {number} spacing - Rough distance between points
+ * @returns {Array<Object>} { side, normal, z } offsets
+ */
+export function samplePath(path, spacing) {
+  const segmentCount =
+    path.mode === "loop" ? path.waypoints.length : path.waypoints.length - 1;
+  const points = [];
+
+  for (let segment = 0; segment < segmentCount; segment++) {
+    const steps = Math.max(1, Math.ceil(getSegmentLength(path, segment) / spacing));
+    for (let step = 0; step < steps; step++) {
+      points.push(getSegmentPoint(path, segment, step / steps));
+    }
+  }
+  // A ping-pong path ends on its last waypoint rather than closing the loop
+  if (path.mode !== "loop") points.push({ ...getWaypoint(path, segmentCount) });
+
+  return points;
+}
+
+/**
+ * Roll a random path for a generated platform
+ * It starts where the platform was placed and wanders around it
+ * @returns {Object} { mode, waypoints } ready for preparePath
+ */
+export function rollPath() {
+  const settings = PLATFORM_MOVEMENT.path;
+  const count =
+    settings.minWaypoints +
+    Math.floor(randomFloat() * (settings.maxWaypoints - settings.minWaypoints + 1));
+  const spread = (range) => (randomFloat() * 2 - 1) * range;
+  const pickEase = () =>
+    settings.easings[Math.floor(randomFloat() * settings.easings.length)];
+  const pickPause = () =>
+    randomFloat() < settings.pauseChance ? randomFloat() * settings.maxPause : 0;
+
+  const waypoints = [{ side: 0, normal: 0, z: 0, pause: pickPause(), ease: pickEase() }];
+  for (let i = 1; i < count; i++) {
+    waypoints.push({
+      side: spread(settings.sideRange),
+      normal: spread(settings.normalRange),
+      z: spread(settings.zRange),
+      pause: pickPause(),
+      ease: pickEase(),
+    });
+  }
+
+  return {
+    mode: randomFloat() < settings.loopChance ? "loop" : "pingPong",
+    waypoints,
+  };
+}
+
+/**
+ * Check a path from a level file
+ * @param {*} path - The path to check
+ * @param {string} where - Where the path is in the file, for error messages
+ * @param {Array<string>} errors - Problems found so far
+ */
+export function checkPath(path, where, errors) {
+  const settings = PLATFORM_MOVEMENT.path;
+  if (!path || typeof path !== "object") {
+    errors.push(`${where} must be an object like { "mode": "pingPong", "waypoints": [...] }`);
+    return;
+  }
+  if (path.mode !== undefined && !settings.modes.includes(path.mode)) {
+    errors.push(`${where}.mode "${path.mode}" is not one of ${settings.modes.join(", ")}`);
+  }
+  if (!Array.isArray(path.waypoints) || path.waypoints.length < 2) {
+    errors.push(`${where}.waypoints must be an array of at least 2 waypoints`);
+    return;
+  }
+
+  path.waypoints.forEach((waypoint, index) => {
+    const at = `${where}.waypoints[${index}]`;
+    if (!waypoint || typeof waypoint !== "object") {
+      errors.push(`${at} must be an object like { "side": 0, "normal": 0, "z": 0 }`);
+      return;
+    }
+    [...AXES, "pause"].forEach((field) => {
+      const value = waypoint[field];
+      if (value !== undefined && (typeof value !== "number" || !Number.isFinite(value))) {
+        errors.push(`${at}.${field} must be a number (got ${JSON.stringify(value)})`);
+      }
+    });
+    if (waypoint.pause < 0) errors.push(`${at}.pause can't be negative`);
+    if (waypoint.ease !== undefined && !settings.easings.includes(waypoint.ease)) {
+      errors.push(`${at}.ease "${waypoint.ease}" is not one of ${settings.easings.join(", ")}`);
+    }
+  });
+}
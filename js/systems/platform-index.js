@@ -0,0 +1,138 @@
+/**
+ * Platform Index
+ * Buckets platforms by where they sit along the course (z) so collision
+ * queries only look at the few platforms near the ball
+ *
+ * Each platform is stored in every bucket its z extent (plus a margin)
+ * overlaps, so a query only needs the bucket the ball is in.
+ */
+
+import { PLATFORM_INDEX } from "../config.js";
+
+// Platforms per bucket, keyed by bucket number
+const buckets = new Map();
+// Bucket range each platform is stored in
+const platformRanges = new Map();
+
+/**
+ * Get the bucket number for a z position
+ * @param {number} z - Position along the course
+ * @returns {number} Bucket number
+ */
+function getBucket(z) {
+  return Math.floor(z / PLATFORM_INDEX.bucketSize);
+}
+
+/**
+ * Get the range of buckets a platform overlaps
+ * Uses the larger of width and depth so turned platforms are still covered
+ * @param {THREE.Mesh} platform - The platform
+ * @returns {Object} { first, last } bucket numbers
+ */
+function getBucketRange(platform) {
+  const { width = 0, depth = 0 } = platform.userData;
+  const extent = Math.max(width, depth) / 2 + PLATFORM_INDEX.margin;
+  return {
+    first: getBucket(platform.position.z - extent),
+    last: getBucket(platform.position.z + extent),
+  };
+}
+
+/**
+ * Add a platform to the buckets in a range
+ * @param {THREE.Mesh} platform - The platform
+ * @param {Object} range - { first, last } bucket numbers
+ */
+function fillBuckets(platform, range) {
+  for (let bucket = range.first; bucket <= range.last; bucket++) {
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(platform);
+  }
+  platformRanges.set(platform, range);
+}
+
+/**
+ * Take a platform out of the buckets it is stored in
+ * @param {THREE.Mesh} platform - The platform
+ * @param {Object} range - { first, last } bucket numbers
+ */
+function emptyBuckets(platform, range) {
+  for (let bucket = range.first; bucket <= range.last; bucket++) {
+    const list = buckets.get(bucket);
+    if (!list) continue;
+
+    const index = list.indexOf(platform);
+    if (index !== -1) list.splice(index, 1);
+    if (list.length === 0) buckets.delete(bucket);
+  }
+  platformRanges.delete(platform);
+}
+
+/**
+ * Add a platform to the index
+ * @param {THREE.Mesh} platform - The platform
+ */
+export function addToPlatformIndex(platform) {
+  if (platformRanges.has(platform)) return;
+  fillBuckets(platform, getBucketRange(platform));
+}
+
+/**
+ * Remove a platform from the index
+ * @param {THREE.Mesh} platform - The platform
+ */
+export function removeFromPlatformIndex(platform) {
+  const range = platformRanges.get(platform);
+  if (range) emptyBuckets(platform, range);
+}
+
+/**
+ * Move a platform to the right buckets after it moved along z
+ * Cheap when it stayed in the same buckets, so it can run every frame
+ * @param {THREE.Mesh} platform - The platform
+ */
+export function updatePlatformInIndex(platform) {
+  const range = platformRanges.get(platform);
+  if (!range) return;
+
+  const nextRange = getBucketRange(platform);
+  if (nextRange.first === range.first && nextRange.last === range.last) return;
+
+  emptyBuckets(platform, range);
+  fillBuckets(platform, nextRange);
+}
+
+/**
+ * Get the platforms that may touch a point along the course
+ * @param {number} z - Position along the course
+ * @returns {Array<THREE.Mesh>} Nearby platforms (do not modify)
+ */
+export function getPlatformsNear(z) {
+  return buckets.get(getBucket(z)) || [];
+}
+
+/**
+ * Get the platforms that may touch anything between two points along the course
+ * @param {number} fromZ - One end of the range
+ * @param {number} toZ - The other end
+ * @returns {Array<THREE.Mesh>} Nearby platforms, each listed once
+ */
+export function getPlatformsBetween(fromZ, toZ) {
+  const first = getBucket(Math.min(fromZ, toZ));
+  const last = getBucket(Math.max(fromZ, toZ));
+  if (first === last) return getPlatformsNear(fromZ);
+
+  const found = new Set();
+  for (let bucket = first; bucket <= last; bucket++) {
+    (buckets.get(bucket) || []).forEach((platform) => found.add(platform));
+  }
+  return [...found];
+}
+
+/**
+ * Remove every platform from the index
+ */
+export function clearPlatformIndex() {
+  buckets.clear();
+  platformRanges.clear();
+}
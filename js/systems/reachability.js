@@ -0,0 +1,294 @@
+/**
+ * Reachability System
+ * Checks generated platforms against the ball's real jump arc
+ *
+ * Everything here is measured in the platform's gravity frame: "side" along
+ * the side axis, "normal" along the support normal and "z" forward (negative).
+ * Physics is stepped in 60 fps frames, the same units ball.js uses.
+ */
+
+import { GAME_SETTINGS, REACHABILITY, SURFACE_MATERIALS } from "../config.js";
+import { isDebugBuild } from "../utils/helpers.js";
+
+// Bounce launch speed of trampolines (see applyPlatformEffects)
+const TRAMPOLINE_LAUNCH = GAME_SETTINGS.maxJumpForce * 1.5;
+
+// Running totals for the debug report
+let stats = {
+  checked: 0,
+  firstTry: 0,
+  rerolled: 0,
+  pulled: 0,
+  unresolved: 0,
+};
+let lastReportedCheck = 0;
+
+/**
+ * Frames the ball spends in the air before it comes down to a height
+ * @param {number} launchVelocity - Initial velocity along the normal (up is positive)
+ * @param {number} targetHeight - Height of the landing surface relative to take-off
+ * @param {number} airJumps - Jumps left in the air (used as late as possible)
+ * @returns {number} Frames until landing, or Infinity if the height is never reached
+ */
+function airtimeToHeight(launchVelocity, targetHeight, airJumps) {
+  let height = 0;
+  let velocity = launchVelocity;
+  let jumpsLeft = airJumps;
+
+  // Rolling straight across onto a surface at the same height
+  if (velocity <= 0 && targetHeight >= 0) {
+    return targetHeight === 0 ? 0 : Infinity;
+  }
+
+  for (let frame = 1; frame <= REACHABILITY.maxAirFrames; frame++) {
+    velocity = Math.max(
+      velocity - GAME_SETTINGS.gravity,
+      -GAME_SETTINGS.terminalVelocity
+    );
+    height += velocity;
+
+    if (velocity < 0 && height <= targetHeight) {
+      // A jump just before touching down buys the most extra air time
+      if (jumpsLeft > 0) {
+        jumpsLeft--;
+        height = targetHeight;
+        velocity = GAME_SETTINGS.jumpForce;
+      } else {
+        return frame;
+      }
+    }
+  }
+
+  return Infinity;
+}
+
+/**
+ * Furthest the ball can steer sideways from a standstill
+ * @param {number} frames - Frames of steering
+ * @returns {number} Maximum side distance
+ */
+function lateralReach(frames) {
+  let distance = 0;
+  let velocity = 0;
+  const wholeFrames = Math.floor(frames);
+
+  for (let frame = 0; frame < wholeFrames; frame++) {
+    velocity = Math.min(
+      GAME_SETTINGS.maxSideVelocity,
+      (velocity + GAME_SETTINGS.sideAcceleration) * GAME_SETTINGS.sideFriction
+    );
+    distance += velocity;
+  }
+
+  return distance;
+}
+
+/**
+ * Speed the game is expected to run at after travelling a distance
+ * Mirrors the ramp in updateDifficulty
+ * @param {number} distance - Distance travelled along the course
+ * @returns {number} Expected forward speed
+ */
+export function estimateSpeedAt(distance) {
+  return Math.min(
+    GAME_SETTINGS.maxSpeed,
+    GAME_SETTINGS.initialSpeed +
+      Math.min(
+        GAME_SETTINGS.speedRampAmount,
+        Math.abs(distance) / GAME_SETTINGS.speedRampDistance
+      )
+  );
+}
+
+/**
+ * Forward speeds a platform at a distance must be reachable at
+ * @param {number} distance - Distance of the platform along the course
+ * @param {number} currentSpeed - Speed of the game right now
+ * @returns {Array<number>} The slowest and fastest speeds to check
+ */
+export function getSpeedSamples(distance, currentSpeed = 0) {
+  const expected = Math.max(estimateSpeedAt(distance), currentSpeed);
+  return [
+    Math.max(GAME_SETTINGS.minSpeed, expected - REACHABILITY.speedMargin),
+    Math.min(GAME_SETTINGS.maxSpeed, expected + REACHABILITY.speedMargin),
+  ];
+}
+
+/**
+ * Describe a platform for reachability checks
+ * @param {Object} placement - Position in the gravity frame {side, normal, z}
+ * @param {number} width - Platform width along the side axis
+ * @param {number} depth - Platform depth along z
+ * @param {string|null} bounceEffect - Trampoline bounce, if any
+ * @param {string} surface - Surface material (changes how high the ball jumps off it)
+ * @param {Object|null} sway - How far a moving platform strays from its
+ *   placement along each axis { side, normal, z } (null if it stays put)
+ * @returns {Object} Platform descriptor
+ */
+export function describePlacement(
+  placement,
+  width,
+  depth,
+  bounceEffect = null,
+  surface = "normal",
+  sway = null
+) {
+  return {
+    side: placement.side,
+    normal: placement.normal,
+    z: placement.z,
+    width,
+    depth,
+    bounceEffect,
+    surface,
+    sway: sway || { side: 0, normal: 0, z: 0 },
+  };
+}
+
+/**
+ * Get a platform at each extreme of its movement
+ * (a platform that stays put has just the one pose)
+ * @param {Object} platform - Platform descriptor
+ * @returns {Array<Object>} Descriptors at every corner of its movement
+ */
+function getExtremePoses(platform) {
+  const { sway } = platform;
+  const spread = (value, amount) => (amount > 0 ? [value - amount, value + amount] : [value]);
+
+  const poses = [];
+  spread(platform.side, sway.side).forEach((side) => {
+    spread(platform.normal, sway.normal).forEach((normal) => {
+      spread(platform.z, sway.z).forEach((z) => {
+        poses.push({ ...platform, side, normal, z });
+      });
+    });
+  });
+  return poses;
+}
+
+/**
+ * Check whether the ball can get from one platform to the next
+ * @param {Object} from - Descriptor of the platform the ball leaves
+ * @param {Object} to - Descriptor of the platform it must land on
+ * @param {number} speed - Forward speed while in the air
+ * @returns {boolean} Whether a landing on "to" is possible
+ */
+export function isReachable(from, to, speed) {
+  const margin = REACHABILITY.edgeMargin;
+  const heightDifference = to.normal - from.normal;
+
+  // Trampolines force a bounce and change the forward speed
+  let forwardSpeed = speed;
+  let fastestLanding;
+  let slowestLanding;
+  if (from.bounceEffect === "forward" || from.bounceEffect === "backward") {
+    forwardSpeed =
+      from.bounceEffect === "forward"
+        ? speed + 0.025
+        : Math.max(GAME_SETTINGS.minSpeed, speed - 0.05);
+    fastestLanding = airtimeToHeight(TRAMPOLINE_LAUNCH, heightDifference, 0);
+    slowestLanding = airtimeToHeight(TRAMPOLINE_LAUNCH, heightDifference, 1);
+  } else {
+    // The first jump takes off from the platform's surface material
+    const takeOff =
+      GAME_SETTINGS.jumpForce *
+      (SURFACE_MATERIALS[from.surface] || SURFACE_MATERIALS.normal).jumpMultiplier;
+    fastestLanding = airtimeToHeight(0, heightDifference, 0);
+    slowestLanding = Math.max(
+      airtimeToHeight(takeOff, heightDifference, 1),
+      airtimeToHeight(0, heightDifference, 1)
+    );
+  }
+
+  if (!Number.isFinite(slowestLanding)) return false;
+  if (!Number.isFinite(fastestLanding)) fastestLanding = slowestLanding;
+
+  // Forward distance is -z; the ball may take off anywhere on "from"
+  const fromBack = -(from.z + from.depth / 2);
+  const fromFront = -(from.z - from.depth / 2) + margin;
+  const toBack = -(to.z + to.depth / 2) - margin;
+  const toFront = -(to.z - to.depth / 2) + margin;
+
+  // Air time is fixed by the forward overlap, so steer for as long as allowed
+  const latestLanding = Math.min(slowestLanding, (toFront - fromBack) / forwardSpeed);
+  const earliestLanding = Math.max(fastestLanding, (toBack - fromFront) / forwardSpeed);
+  if (earliestLanding > latestLanding) return false;
+
+  const sideGap = Math.max(
+    0,
+    Math.abs(to.side - from.side) -
+      (from.width / 2 + margin) -
+      (to.width / 2 + margin)
+  );
+
+  return lateralReach(latestLanding) >= sideGap;
+}
+
+/**
+ * Check a platform at every speed it may be approached with, and with both
+ * platforms anywhere their movement can take them
+ * @param {Object} from - Descriptor of the platform the ball leaves
+ * @param {Object} to - Descriptor of the platform it must land on
+ * @param {Array<number>} speeds - Forward speeds to check
+ * @returns {boolean} Whether the platform is reachable in all of those cases
+ */
+export function isReachableAtSpeeds(from, to, speeds) {
+  const toPoses = getExtremePoses(to);
+  return getExtremePoses(from).every((fromPose) =>
+    toPoses.every((toPose) =>
+      speeds.every((speed) => isReachable(fromPose, toPose, speed))
+    )
+  );
+}
+
+/**
+ * Record how a generated platform was made reachable
+ * @param {string} outcome - "firstTry", "rerolled", "pulled" or "unresolved"
+ */
+export function recordReachability(outcome) {
+  stats.checked++;
+  if (stats[outcome] !== undefined) {
+    stats[outcome]++;
+  }
+}
+
+/**
+ * Get the reachability totals for the current run
+ * @returns {Object} Counts plus the share of the course guaranteed reachable
+ */
+export function getReachabilityStats() {
+  const guaranteed = stats.checked - stats.unresolved;
+  return {
+    ...stats,
+    guaranteedPercent:
+      stats.checked > 0 ? Math.round((guaranteed / stats.checked) * 1000) / 10 : 100,
+  };
+}
+
+/**
+ * Log the reachability totals (debug builds only)
+ */
+export function reportReachability() {
+  if (!isDebugBuild() || stats.checked === lastReportedCheck) return;
+  lastReportedCheck = stats.checked;
+
+  const report = getReachabilityStats();
+  console.info(
+    `[Reachability] ${report.guaranteedPercent}% of ${report.checked} platforms guaranteed reachable ` +
+      `(first try ${report.firstTry}, rerolled ${report.rerolled}, pulled ${report.pulled}, unresolved ${report.unresolved})`
+  );
+}
+
+/**
+ * Reset the reachability totals
+ */
+export function resetReachabilityStats() {
+  stats = {
+    checked: 0,
+    firstTry: 0,
+    rerolled: 0,
+    pulled: 0,
+    unresolved: 0,
+  };
+  lastReportedCheck = 0;
+}
@@ -0,0 +1,98 @@
+/**
+ * Scheduler System
+ * Runs timed gameplay effects on game time instead of the wall clock
+ *
+ * Game time only moves while the game is being played (main.js advances it
+ * from the running part of update), so pausing for SOS aiming, slow frames
+ * and hidden tabs hold every pending effect where it is. Delays are in
+ * seconds of game time.
+ */
+
+// Game time since the run started (seconds)
+let gameTime = 0;
+// Pending tasks, in the order they are due
+let tasks = [];
+// Handed out to tasks so they can be cancelled, and to keep ties in order
+let nextTaskId = 1;
+
+/**
+ * Queue a task, keeping the list ordered by due time (ties in the order queued)
+ * @param {Object} task - { id, due, interval, callback }
+ */
+function queueTask(task) {
+  let index = tasks.length;
+  while (index > 0 && tasks[index - 1].due > task.due) index--;
+  tasks.splice(index, 0, task);
+}
+
+/**
+ * Run a callback after some game time
+ * @param {number} delay - Seconds of game time to wait
+ * @param {Function} callback - Called once when the time has passed
+ * @returns {number} Task id, for cancelScheduled
+ */
+export function scheduleAfter(delay, callback) {
+  const id = nextTaskId++;
+  queueTask({ id, due: gameTime + delay, interval: 0, callback });
+  return id;
+}
+
+/**
+ * Run a callback repeatedly, every so much game time
+ * @param {number} interval - Seconds of game time between calls
+ * @param {Function} callback - Called each time; return false to stop repeating
+ * @returns {number} Task id, for cancelScheduled
+ */
+export function scheduleEvery(interval, callback) {
+  const id = nextTaskId++;
+  queueTask({ id, due: gameTime + interval, interval, callback });
+  return id;
+}
+
+/**
+ * Cancel a pending task
+ * @param {number} id - Id from scheduleAfter or scheduleEvery
+ */
+export function cancelScheduled(id) {
+  tasks = tasks.filter((task) => task.id !== id);
+}
+
+/**
+ * Move game time on and run every task that has come due
+ * Tasks queued while this runs wait for a later call, even with no delay
+ * @param {number} deltaTime - Game time this step (seconds)
+ */
+export function advanceGameTime(deltaTime) {
+  gameTime += deltaTime;
+
+  const due = [];
+  while (tasks.length > 0 && tasks[0].due <= gameTime + 1e-9) {
+    due.push(tasks.shift());
+  }
+
+  due.forEach((task) => {
+    const keepGoing = task.callback();
+    if (task.interval > 0 && keepGoing !== false) {
+      task.due += task.interval;
+      queueTask(task);
+    }
+  });
+}
+
+/**
+ * Get the game time since the run started
+ * This is the one gameplay clock: read it instead of the wall clock for
+ * anything timed, so it holds still with everything else while paused
+ * @returns {number} Time in seconds
+ */
+export function getGameTime() {
+  return gameTime;
+}
+
+/**
+ * Drop every pending task and restart game time, for a new run
+ */
+export function resetScheduler() {
+  gameTime = 0;
+  tasks = [];
+}
@@ -0,0 +1,114 @@
+/**
+ * Timestep System
+ * Runs the simulation in fixed steps and blends what is drawn between them
+ *
+ * Frame time is banked and spent in SIMULATION.step slices, so physics, fuel
+ * burn and spawn rolls happen the same number of times per simulated second
+ * at any refresh rate. Each frame is drawn with tracked objects placed part
+ * of the way between their last two simulated states.
+ */
+
+import THREE from "../utils/three-wrapper.js";
+import { SIMULATION } from "../config.js";
+
+// Frame time not yet spent on a step (seconds)
+let accumulator = 0;
+// Steps run since the run started, so stale transforms are ignored
+let stepCount = 0;
+// Saved transforms by object: where it was before the latest step, and its
+// simulated transform while a blended frame is drawn
+const transforms = new WeakMap();
+
+/**
+ * Bank a frame's time and work out how many steps to run
+ * Time beyond SIMULATION.maxStepsPerFrame steps is dropped, so a long hitch
+ * slows the game down for a moment instead of freezing it to catch up
+ * @param {number} frameDelta - Real time since the last frame (seconds)
+ * @returns {number} Steps to run this frame
+ */
+export function consumeFrameTime(frameDelta) {
+  accumulator += frameDelta;
+
+  const steps = Math.min(
+    Math.floor(accumulator / SIMULATION.step),
+    SIMULATION.maxStepsPerFrame
+  );
+  accumulator -= steps * SIMULATION.step;
+  if (steps === SIMULATION.maxStepsPerFrame) {
+    accumulator = Math.min(accumulator, SIMULATION.step);
+  }
+  return steps;
+}
+
+/**
+ * Record where objects are before a step runs, so frames can blend from there
+ * @param {Array<THREE.Object3D>} objects - Objects to draw blended
+ */
+export function beginStep(objects) {
+  stepCount++;
+
+  objects.forEach((object) => {
+    if (!object) return;
+
+    if (!transforms.has(object)) {
+      transforms.set(object, {
+        step: 0,
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        simulatedPosition: new THREE.Vector3(),
+        simulatedRotation: new THREE.Euler(),
+      });
+    }
+    const saved = transforms.get(object);
+    saved.step = stepCount;
+    saved.position.copy(object.position);
+    saved.quaternion.copy(object.quaternion);
+  });
+}
+
+/**
+ * Draw a frame with objects blended between their last two simulated states
+ * Objects are put back to their simulated state afterwards
+ * @param {Array<THREE.Object3D>} objects - Objects to draw blended
+ * @param {Function} draw - Renders the frame
+ */
+export function drawInterpolated(objects, draw) {
+  const alpha = accumulator / SIMULATION.step;
+  const blended = objects.filter(
+    (object) => object && transforms.has(object) && transforms.get(object).step === stepCount
+  );
+
+  blended.forEach((object) => {
+    const saved = transforms.get(object);
+    saved.simulatedPosition.copy(object.position);
+    saved.simulatedRotation.copy(object.rotation);
+
+    object.position.lerpVectors(saved.position, saved.simulatedPosition, alpha);
+    object.quaternion.slerp(saved.quaternion, 1 - alpha);
+  });
+
+  draw();
+
+  blended.forEach((object) => {
+    const saved = transforms.get(object);
+    object.position.copy(saved.simulatedPosition);
+    object.rotation.copy(saved.simulatedRotation);
+  });
+}
+
+/**
+ * Draw an object where it is now until its next step instead of blending it
+ * from where it was, for objects that jump rather than move (a teleported ball)
+ * @param {THREE.Object3D} object - The object
+ */
+export function skipInterpolation(object) {
+  transforms.delete(object);
+}
+
+/**
+ * Start a new run: draw the next frame unblended
+ * (gameplay timing runs on the scheduler's game time, see scheduler.js)
+ */
+export function resetTimestep() {
+  stepCount++;
+}
@@ -29,6 +29,24 @@ export function updateRescueCount(count) {
   setText(ELEMENT_IDS.rescue, count);
 }
 
+/**
+ * Update the lives display, flashing it when a life is lost
+ * @param {number} lives - Lives left
+ */
+export function updateLives(lives) {
+  const element = document.getElementById(ELEMENT_IDS.lives);
+  if (!element) return;
+
+  const previous = Number(element.textContent);
+  setText(ELEMENT_IDS.lives, lives);
+  if (lives < previous) {
+    const container = element.parentElement;
+    container.classList.remove("life-lost");
+    void container.offsetWidth; // Restart the animation
+    container.classList.add("life-lost");
+  }
+}
+
 export function setRescueHUDVisible(isVisible) {
   if (isVisible) {
     showElement(ELEMENT_IDS.rescueContainer);
@@ -79,12 +97,34 @@ export function updateExtraJumps(jumps) {
 /**
  * Show the game over screen
  * @param {number} finalScore - Final score
+ * @param {string} seed - Seed of the finished run
  */
-export function showGameOver(finalScore) {
+export function showGameOver(finalScore, seed = "") {
   setText(ELEMENT_IDS.finalScore, finalScore);
+  setText(ELEMENT_IDS.finalSeed, seed);
   showElement(ELEMENT_IDS.gameOver);
 }
 
+/**
+ * Show a seed in the start modal's seed field
+ * @param {string} seed - The seed to show
+ */
+export function updateSeedInput(seed) {
+  const seedInput = document.getElementById(ELEMENT_IDS.seedInput);
+  if (seedInput) {
+    seedInput.value = seed;
+  }
+}
+
+/**
+ * Read the seed typed into the start modal
+ * @returns {string} The raw seed text
+ */
+export function getSeedInputValue() {
+  const seedInput = document.getElementById(ELEMENT_IDS.seedInput);
+  return seedInput ? seedInput.value : "";
+}
+
 /**
  * Hide the game over screen
  */
@@ -97,6 +137,10 @@ export function hideGameOver() {
  */
 export function showStartModal() {
   showElement(ELEMENT_IDS.startModal);
+  const modal = document.getElementById(ELEMENT_IDS.startModal);
+  if (modal) {
+    modal.style.display = "flex"; // Undo hideStartModal
+  }
 }
 
 /**
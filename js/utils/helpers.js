@@ -3,6 +3,8 @@
  * Contains utility functions used throughout the game
  */
 
+import { randomFloat } from "./rng.js";
+
 /**
  * Clamp a value between a minimum and maximum value
  * @param {number} value - The value to clamp
@@ -15,23 +17,25 @@ export function clamp(value, min, max) {
 }
 
 /**
- * Generate a random number between min and max
+ * Generate a seeded random number between min and max
  * @param {number} min - The minimum value
  * @param {number} max - The maximum value
+ * @param {string} stream - Seeded stream to draw from
  * @returns {number} A random number between min and max
  */
-export function random(min, max) {
-  return min + Math.random() * (max - min);
+export function random(min, max, stream = "course") {
+  return min + randomFloat(stream) * (max - min);
 }
 
 /**
- * Generate a random integer between min and max (inclusive)
+ * Generate a seeded random integer between min and max (inclusive)
  * @param {number} min - The minimum value
  * @param {number} max - The maximum value
+ * @param {string} stream - Seeded stream to draw from
  * @returns {number} A random integer between min and max
  */
-export function randomInt(min, max) {
-  return Math.floor(random(min, max + 1));
+export function randomInt(min, max, stream = "course") {
+  return Math.floor(random(min, max + 1, stream));
 }
 
 /**
@@ -58,6 +62,14 @@ export function distance(point1, point2) {
   return Math.sqrt(dx * dx + dy * dy + dz * dz);
 }
 
+/**
+ * Check whether debug reporting is enabled (add ?debug to the URL)
+ * @returns {boolean} True in debug builds
+ */
+export function isDebugBuild() {
+  return new URLSearchParams(window.location.search).has("debug");
+}
+
 /**
  * Get an element by its ID
  * @param {string} id - The ID of the element
@@ -0,0 +1,88 @@
+/**
+ * Shared Resources
+ * Caches geometries and materials that many meshes share, and disposes the rest
+ *
+ * Shared resources live for the whole session, so the number of them is
+ * bounded by the number of platform kinds, not by how long a run lasts.
+ * Anything else a removed object owns is freed by disposeObject.
+ */
+
+// Cached resources by key
+const geometries = new Map();
+const materials = new Map();
+// Every cached resource, so disposeObject can skip them
+const sharedResources = new Set();
+
+/**
+ * Get a cached geometry, creating it the first time it is asked for
+ * @param {string} key - Unique description of the geometry
+ * @param {Function} create - Builds the geometry
+ * @returns {THREE.BufferGeometry} The shared geometry
+ */
+export function getSharedGeometry(key, create) {
+  if (!geometries.has(key)) {
+    const geometry = create();
+    geometries.set(key, geometry);
+    sharedResources.add(geometry);
+  }
+  return geometries.get(key);
+}
+
+/**
+ * Get a cached material, creating it the first time it is asked for
+ * Shared materials must not be changed per mesh; swap in another shared material instead
+ * @param {string} key - Unique description of the material
+ * @param {Function} create - Builds the material
+ * @returns {THREE.Material} The shared material
+ */
+export function getSharedMaterial(key, create) {
+  if (!materials.has(key)) {
+    const material = create();
+    materials.set(key, material);
+    sharedResources.add(material);
+  }
+  return materials.get(key);
+}
+
+/**
+ * Dispose a material and its textures unless it is shared
+ * @param {THREE.Material} material - The material
+ */
+function disposeMaterial(material) {
+  if (!material || sharedResources.has(material)) return;
+
+  Object.values(material).forEach((value) => {
+    if (value && value.isTexture) value.dispose();
+  });
+  material.dispose();
+}
+
+/**
+ * Free the GPU resources of an object and its children
+ * Shared geometries and materials are left alone. Call after removing the object from the scene.
+ * @param {THREE.Object3D} object - The object to dispose
+ */
+export function disposeObject(object) {
+  if (!object) return;
+
+  object.traverse((child) => {
+    if (child.geometry && !sharedResources.has(child.geometry)) {
+      child.geometry.dispose();
+    }
+    if (Array.isArray(child.material)) {
+      child.material.forEach(disposeMaterial);
+    } else {
+      disposeMaterial(child.material);
+    }
+    // Instanced meshes own their per-instance buffers
+    if (child.isInstancedMesh) child.dispose();
+  });
+}
+
+/**
+ * Count the cached resources (for checking memory stays flat)
+ * @returns {Object} { geometries, materials }
+ */
+export function getSharedResourceCounts() {
+  return { geometries: geometries.size, materials: materials.size };
+}
@@ -0,0 +1,104 @@
+/**
+ * Seeded Random
+ * Deterministic random streams so a run can be replayed from its seed
+ */
+
+// Characters used for generated seeds (no 0/O or 1/I to keep them easy to read aloud)
+const SEED_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const SEED_LENGTH = 8;
+
+// Independent streams so spawning never shifts the course layout
+// course: platform generation, spawn: power-ups and rescue targets
+const STREAM_NAMES = ["course", "spawn"];
+
+let runSeed = "";
+let streams = {};
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - The text to hash
+ * @returns {number} The hash value
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a mulberry32 generator
+ * @param {number} state - 32-bit starting state
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createGenerator(state) {
+  let a = state >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh, human-friendly seed
+ * @returns {string} A new seed
+ */
+export function generateSeed() {
+  let seed = "";
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+}
+
+/**
+ * Normalize a typed-in or URL seed
+ * @param {string} input - The raw seed text
+ * @returns {string|null} The cleaned seed, or null if it is empty
+ */
+export function normalizeSeed(input) {
+  if (input === undefined || input === null) return null;
+  const seed = String(input).trim().toUpperCase().slice(0, 32);
+  return seed.length > 0 ? seed : null;
+}
+
+/**
+ * Seed all random streams for a new run
+ * @param {string} seed - The run seed
+ */
+export function setRunSeed(seed) {
+  runSeed = normalizeSeed(seed) || generateSeed();
+  streams = {};
+  STREAM_NAMES.forEach((name) => {
+    streams[name] = createGenerator(hashString(`${runSeed}:${name}`));
+  });
+}
+
+/**
+ * Get the seed of the current run
+ * @returns {string} The run seed
+ */
+export function getRunSeed() {
+  return runSeed;
+}
+
+/**
+ * Get the next number from a seeded stream
+ * @param {string} stream - Stream name ("course" or "spawn")
+ * @returns {number} A number in [0, 1)
+ */
+export function randomFloat(stream = "course") {
+  if (!streams[stream]) {
+    console.warn(`Unknown random stream "${stream}", using "course"`);
+    return streams.course();
+  }
+  return streams[stream]();
+}
+
+// Always have usable streams, even before the first run is seeded
+setRunSeed(generateSeed());